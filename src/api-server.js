@@ -0,0 +1,147 @@
+// Opt-in local HTTP API (localhost only, token protected) used by status bars,
+// scripts and the `time-tracker` CLI.
+//
+//   GET  /status                       -> same payload as the 'update-time' IPC message
+//   GET  /today                        -> { date, totalSeconds, sessions }
+//   GET  /history?from=YYYY-MM-DD&to=  -> { from, to, days: [{ date, total, sessions }] }
+//   GET  /history?range=week|month     -> same, for the current week (from Monday) or month so far
+//   POST /pause   { "minutes": 30 }    -> manual pause (minutes optional)
+//   POST /force   { "minutes": 30 }    -> force tracking (minutes optional)
+//   POST /resume                       -> back to automatic tracking
+//
+// Every request needs "Authorization: Bearer <token>".
+
+const http = require('http');
+const crypto = require('crypto');
+const { getWeekStartKey } = require('./history');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_BODY_BYTES = 16 * 1024;
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function isAuthorized(req, token) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+    const given = Buffer.from(match[1].trim());
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Reject requests addressed to another host name (DNS rebinding from a web page)
+function isLocalHost(req) {
+    const host = (req.headers.host || '').replace(/:\d+$/, '');
+    return host === 'localhost' || host === '127.0.0.1' || host === '[::1]';
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8').trim();
+            if (!text) {
+                resolve({});
+                return;
+            }
+            try {
+                resolve(JSON.parse(text));
+            } catch (e) {
+                reject(new Error('Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Named ranges end today; today is the current workday (settings.workday), not the calendar date
+function resolveRange(range, today) {
+    if (range === 'week') return { from: getWeekStartKey(today), to: today };
+    if (range === 'month') return { from: `${today.slice(0, 7)}-01`, to: today };
+    throw new Error('range must be week or month');
+}
+
+// handlers: { getStatus, getToday, getCurrentDate, getHistory(from, to), setOverride(mode, minutes) }
+function createApiServer({ port, token, handlers, log }) {
+    let server = null;
+
+    async function route(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'GET' && url.pathname === '/status') {
+            sendJson(res, 200, handlers.getStatus());
+        } else if (req.method === 'GET' && url.pathname === '/today') {
+            sendJson(res, 200, handlers.getToday());
+        } else if (req.method === 'GET' && url.pathname === '/history') {
+            const range = url.searchParams.get('range');
+            const { from, to } = range
+                ? resolveRange(range, handlers.getCurrentDate())
+                : { from: url.searchParams.get('from') || '', to: url.searchParams.get('to') || '' };
+            if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+                sendJson(res, 400, { error: 'from/to must be YYYY-MM-DD' });
+                return;
+            }
+            sendJson(res, 200, { from: from || null, to: to || null, days: handlers.getHistory(from, to) });
+        } else if (req.method === 'POST' && ['/pause', '/force', '/resume'].includes(url.pathname)) {
+            const body = await readBody(req);
+            const mode = url.pathname === '/resume' ? null : url.pathname.slice(1);
+            const minutes = Number(body.minutes) > 0 ? Number(body.minutes) : null;
+            sendJson(res, 200, { override: handlers.setOverride(mode, minutes) });
+        } else {
+            sendJson(res, 404, { error: 'Not found' });
+        }
+    }
+
+    function handleRequest(req, res) {
+        if (!isLocalHost(req)) {
+            sendJson(res, 403, { error: 'Forbidden' });
+            return;
+        }
+        if (!isAuthorized(req, token)) {
+            sendJson(res, 401, { error: 'Missing or invalid token' });
+            return;
+        }
+        route(req, res).catch(e => {
+            log(`API error on ${req.method} ${req.url}: ${e.message}`);
+            sendJson(res, 400, { error: e.message });
+        });
+    }
+
+    return {
+        start() {
+            return new Promise((resolve, reject) => {
+                server = http.createServer(handleRequest);
+                server.once('error', reject);
+                server.listen(port, '127.0.0.1', () => {
+                    log(`Local API listening on http://127.0.0.1:${port}`);
+                    resolve();
+                });
+            });
+        },
+        stop() {
+            return new Promise(resolve => {
+                if (!server) {
+                    resolve();
+                    return;
+                }
+                server.close(() => resolve());
+                server = null;
+            });
+        }
+    };
+}
+
+module.exports = { createApiServer };
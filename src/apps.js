@@ -0,0 +1,83 @@
+// Per-application breakdown of tracked time. While a session runs, the
+// foreground window is sampled and the elapsed time is added to its app (and
+// window title, unless titles are hidden). Sessions store the result as
+//   apps:   { "Chrome": seconds, ... }
+//   titles: { "Chrome": { "<window title>": seconds, ... }, ... }  (top titles only)
+
+const { matchesPattern } = require('./rules');
+
+// Titles kept per app and session, the rest is dropped to keep the data file small
+const MAX_TITLES_PER_APP = 5;
+const MAX_TITLE_LENGTH = 120;
+
+// Display name for a raw process name, or null when the app is excluded
+function resolveAppName(appTracking, rawApp) {
+    if (!rawApp) return null;
+    if (appTracking.exclude.some(pattern => matchesPattern(rawApp, pattern))) return null;
+    const alias = appTracking.aliases.find(a => matchesPattern(rawApp, a.pattern));
+    return alias ? alias.name : rawApp.replace(/\.exe$/i, '');
+}
+
+function createBreakdown() {
+    return { apps: {}, titles: {} };
+}
+
+function addSample(breakdown, appName, title, seconds) {
+    breakdown.apps[appName] = (breakdown.apps[appName] || 0) + seconds;
+    if (title) {
+        const text = title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH - 1)}…` : title;
+        if (!breakdown.titles[appName]) breakdown.titles[appName] = {};
+        breakdown.titles[appName][text] = (breakdown.titles[appName][text] || 0) + seconds;
+    }
+}
+
+function roundValues(map) {
+    const rounded = {};
+    Object.keys(map).forEach(key => {
+        const seconds = Math.round(map[key]);
+        if (seconds > 0) rounded[key] = seconds;
+    });
+    return rounded;
+}
+
+// Session fields for a breakdown: { apps, titles } with empty parts left out
+function toSessionFields(breakdown) {
+    const fields = {};
+    const apps = roundValues(breakdown.apps);
+    if (Object.keys(apps).length === 0) return fields;
+    fields.apps = apps;
+
+    const titles = {};
+    Object.keys(breakdown.titles).forEach(appName => {
+        const top = Object.entries(roundValues(breakdown.titles[appName]))
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_TITLES_PER_APP);
+        if (top.length > 0) titles[appName] = Object.fromEntries(top);
+    });
+    if (Object.keys(titles).length > 0) fields.titles = titles;
+    return fields;
+}
+
+// Breakdown fields of a session scaled by factor (for split and edited sessions)
+function scaleSessionApps(session, factor) {
+    if (!session.apps) return {};
+    const breakdown = createBreakdown();
+    Object.keys(session.apps).forEach(appName => {
+        breakdown.apps[appName] = session.apps[appName] * factor;
+    });
+    Object.keys(session.titles || {}).forEach(appName => {
+        breakdown.titles[appName] = {};
+        Object.keys(session.titles[appName]).forEach(title => {
+            breakdown.titles[appName][title] = session.titles[appName][title] * factor;
+        });
+    });
+    return toSessionFields(breakdown);
+}
+
+module.exports = {
+    resolveAppName,
+    createBreakdown,
+    addSample,
+    toSessionFields,
+    scaleSessionApps
+};
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+// Command-line client for the local API (Settings > Local API must be enabled).
+//
+//   time-tracker status
+//   time-tracker today
+//   time-tracker report --week | --month | --from YYYY-MM-DD [--to YYYY-MM-DD]
+//   time-tracker pause [minutes]
+//   time-tracker force [minutes]
+//   time-tracker resume
+//
+// Options: --json (raw output), --url, --token. The URL and token default to
+// TIME_TRACKER_URL / TIME_TRACKER_TOKEN, then to the file the app writes on start.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { formatLocalTime } = require('./history');
+const { formatHoursMinutes } = require('./goals');
+const { formatBalance } = require('./timebank');
+
+const API_INFO_NAME = 'time-tracker-api.json';
+// Packaged builds use productName for userData, `npm start` uses the package name
+const APP_DIR_NAMES = ['Time Tracker Premium', 'time-tracker'];
+
+const USAGE = `Usage: time-tracker <command> [options]
+
+Commands:
+  status                 Current tracking state and today's total
+  today                  Today's sessions
+  report                 Totals per day (--week, --month or --from/--to)
+  pause [minutes]        Pause tracking (until resumed if no minutes)
+  force [minutes]        Force tracking (until resumed if no minutes)
+  resume                 Back to automatic tracking
+
+Options:
+  --json                 Print the raw JSON response
+  --url <url>            API address (default: from the running app)
+  --token <token>        API token (default: from the running app)`;
+
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            args._.push(arg);
+        } else if (['--from', '--to', '--url', '--token'].includes(arg)) {
+            args[arg.slice(2)] = argv[++i];
+        } else {
+            args[arg.slice(2)] = true;
+        }
+    }
+    return args;
+}
+
+function getAppDataDir() {
+    if (process.platform === 'win32') {
+        return process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+    }
+    if (process.platform === 'darwin') {
+        return path.join(os.homedir(), 'Library', 'Application Support');
+    }
+    return process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+}
+
+function readApiInfo() {
+    for (const name of APP_DIR_NAMES) {
+        const file = path.join(getAppDataDir(), name, API_INFO_NAME);
+        if (fs.existsSync(file)) {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+    }
+    return null;
+}
+
+function getConnection(args) {
+    const info = readApiInfo() || {};
+    const url = args.url || process.env.TIME_TRACKER_URL || info.url;
+    const token = args.token || process.env.TIME_TRACKER_TOKEN || info.token;
+    if (!url || !token) {
+        throw new Error('Time Tracker API not found. Enable it in Settings > Local API and keep the app running.');
+    }
+    return { url, token };
+}
+
+function request(connection, method, pathname, body) {
+    return new Promise((resolve, reject) => {
+        const payload = body ? JSON.stringify(body) : '';
+        const req = http.request(new URL(pathname, connection.url), {
+            method,
+            timeout: 5000,
+            headers: {
+                Authorization: `Bearer ${connection.token}`,
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload)
+            }
+        }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                let data;
+                try {
+                    data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                } catch (e) {
+                    reject(new Error(`Invalid response from ${connection.url}`));
+                    return;
+                }
+                if (res.statusCode >= 400) {
+                    reject(new Error(data.error || `HTTP ${res.statusCode}`));
+                } else {
+                    resolve(data);
+                }
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error(`No response from ${connection.url}`)));
+        req.on('error', e => {
+            reject(e.code === 'ECONNREFUSED' ? new Error(`Time Tracker is not running at ${connection.url}`) : e);
+        });
+        req.end(payload);
+    });
+}
+
+// Query for /history. Week and month are resolved by the app, which knows when
+// the workday starts (settings.workday); --to defaults to the latest day.
+function getReportQuery(args) {
+    if (args.week) return 'range=week';
+    if (args.month) return 'range=month';
+    if (args.from) return `from=${args.from}&to=${args.to || ''}`;
+    throw new Error('report needs --week, --month or --from YYYY-MM-DD');
+}
+
+// "paused until 14:30", "forced until resumed"
+function describeOverride(override) {
+    const label = override.mode === 'pause' ? 'paused' : 'forced';
+    return override.until ? `${label} until ${formatLocalTime(new Date(override.until)).slice(0, 5)}` : `${label} until resumed`;
+}
+
+// --- Output ---
+
+function printStatus(status) {
+    if (!status) {
+        console.log('No status yet, the app is still starting.');
+        return;
+    }
+    console.log(status.override ? `${status.status} (${describeOverride(status.override)})` : status.status);
+    console.log(`Today: ${formatHoursMinutes(status.totalSeconds)}`);
+    if (status.projectName) console.log(`Project: ${status.projectName}`);
+    if (status.timeBank) console.log(`Time bank: ${formatBalance(status.timeBank.balance)} (today ${formatBalance(status.timeBank.today)})`);
+}
+
+function printToday(today) {
+    console.log(`${today.date}: ${formatHoursMinutes(today.totalSeconds)}`);
+    today.sessions.forEach(session => {
+        const start = formatLocalTime(new Date(session.start)).slice(0, 5);
+        const end = session.end ? formatLocalTime(new Date(session.end)).slice(0, 5) : 'now  ';
+        const project = session.projectName ? `  ${session.projectName}` : '';
+        console.log(`  ${start} - ${end}  ${formatHoursMinutes(session.duration).padStart(9)}${project}`);
+    });
+}
+
+function printReport(report) {
+    const total = report.days.reduce((acc, day) => acc + day.total, 0);
+    report.days.forEach(day => {
+        console.log(`${day.date}  ${formatHoursMinutes(day.total).padStart(9)}`);
+    });
+    console.log(`Total ${report.from} to ${report.to || 'today'}: ${formatHoursMinutes(total)} in ${report.days.length} day(s)`);
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    const command = args._[0];
+
+    if (!command || args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const connection = getConnection(args);
+    let result;
+    let print;
+
+    switch (command) {
+        case 'status':
+            result = await request(connection, 'GET', '/status');
+            print = printStatus;
+            break;
+        case 'today':
+            result = await request(connection, 'GET', '/today');
+            print = printToday;
+            break;
+        case 'report': {
+            result = await request(connection, 'GET', `/history?${getReportQuery(args)}`);
+            print = printReport;
+            break;
+        }
+        case 'pause':
+        case 'force':
+        case 'resume': {
+            const minutes = Number(args._[1]) || null;
+            result = await request(connection, 'POST', `/${command}`, minutes ? { minutes } : null);
+            print = data => console.log(data.override ? `Tracking ${describeOverride(data.override)}` : 'Automatic tracking');
+            break;
+        }
+        default:
+            throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        print(result);
+    }
+}
+
+main(process.argv.slice(2)).catch(e => {
+    console.error(e.message);
+    process.exit(1);
+});
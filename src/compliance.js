@@ -0,0 +1,123 @@
+// Break compliance (CLT by default): a break of at least minBreakMinutes once
+// maxContinuousHours have been worked, and at least minRestHours between the
+// end of one workday and the start of the next.
+//
+// Work between two qualifying breaks is a "stretch"; gaps shorter than the
+// minimum break don't end it. Violations: [{ type, key, at: ms, message }],
+// where key is stable for the day so notifications fire only once.
+
+function formatSpan(seconds) {
+    const totalMins = Math.round(seconds / 60);
+    const hours = Math.floor(totalMins / 60);
+    const mins = totalMins % 60;
+    if (hours === 0) return `${mins}min`;
+    return mins === 0 ? `${hours}h` : `${hours}h${String(mins).padStart(2, '0')}`;
+}
+
+// Sessions (or { start, end } ranges) -> sorted [{ start, end }] in ms
+function toRanges(sessions) {
+    return sessions
+        .map(s => ({ start: new Date(s.start).getTime(), end: new Date(s.end).getTime() }))
+        .filter(r => r.end > r.start)
+        .sort((a, b) => a.start - b.start);
+}
+
+function getStretches(compliance, ranges) {
+    const minBreakMs = compliance.minBreakMinutes * 60 * 1000;
+    const stretches = [];
+    let current = null;
+    ranges.forEach(range => {
+        if (!current || range.start - current.end >= minBreakMs) {
+            current = { ranges: [], worked: 0, end: range.end };
+            stretches.push(current);
+        }
+        current.ranges.push(range);
+        current.worked += range.end - range.start;
+        current.end = Math.max(current.end, range.end);
+    });
+    return stretches;
+}
+
+// Instant at which the stretch went over the limit
+function getOverLimitAt(stretch, limitMs) {
+    let worked = 0;
+    for (const range of stretch.ranges) {
+        if (worked + (range.end - range.start) > limitMs) return range.start + (limitMs - worked);
+        worked += range.end - range.start;
+    }
+    return null;
+}
+
+// sessions: one workday; previousEnd: end (ms) of the previous workday's last session, or null
+function findViolations(compliance, sessions, previousEnd) {
+    const ranges = toRanges(sessions);
+    const violations = [];
+    if (ranges.length === 0) return violations;
+
+    const minRestMs = compliance.minRestHours * 3600 * 1000;
+    if (previousEnd && ranges[0].start - previousEnd < minRestMs) {
+        violations.push({
+            type: 'short-rest',
+            key: 'compliance-rest',
+            at: ranges[0].start,
+            message: `Only ${formatSpan((ranges[0].start - previousEnd) / 1000)} of rest since the previous workday (minimum ${formatSpan(minRestMs / 1000)})`
+        });
+    }
+
+    const limitMs = compliance.maxContinuousHours * 3600 * 1000;
+    getStretches(compliance, ranges).forEach((stretch, i) => {
+        if (stretch.worked <= limitMs) return;
+        violations.push({
+            type: 'no-break',
+            key: `compliance-break-${i}`,
+            at: getOverLimitAt(stretch, limitMs),
+            message: `${formatSpan(limitMs / 1000)} of work without a ${formatSpan(compliance.minBreakMinutes * 60)} break`
+        });
+    });
+    return violations;
+}
+
+// Heads-up before the current stretch reaches the limit, or null
+function getBreakWarning(compliance, sessions) {
+    if (compliance.warnMinutes <= 0) return null;
+    const stretches = getStretches(compliance, toRanges(sessions));
+    if (stretches.length === 0) return null;
+
+    const i = stretches.length - 1;
+    const limitMs = compliance.maxContinuousHours * 3600 * 1000;
+    const remainingMs = limitMs - stretches[i].worked;
+    if (remainingMs <= 0 || remainingMs > compliance.warnMinutes * 60 * 1000) return null;
+    return {
+        type: 'break-due',
+        key: `compliance-break-due-${i}`,
+        message: `Take a ${formatSpan(compliance.minBreakMinutes * 60)} break within ${formatSpan(remainingMs / 1000)}`
+    };
+}
+
+// Last session end (ms) of the latest day before dateKey in grouped, or null
+function getPreviousEnd(grouped, dateKey) {
+    const previousKey = Object.keys(grouped).filter(key => key < dateKey && grouped[key].sessions.length > 0).sort().pop();
+    if (!previousKey) return null;
+    return Math.max(...grouped[previousKey].sessions.map(s => new Date(s.end).getTime()));
+}
+
+// grouped: history.groupSessionsByDay() output. Returns { [dateKey]: violations } for days with any.
+function checkHistory(compliance, grouped) {
+    const result = {};
+    let previousEnd = null;
+    Object.keys(grouped).sort().forEach(dateKey => {
+        const sessions = grouped[dateKey].sessions;
+        if (sessions.length === 0) return;
+        const violations = findViolations(compliance, sessions, previousEnd);
+        if (violations.length > 0) result[dateKey] = violations;
+        previousEnd = Math.max(...sessions.map(s => new Date(s.end).getTime()));
+    });
+    return result;
+}
+
+module.exports = {
+    findViolations,
+    getBreakWarning,
+    getPreviousEnd,
+    checkHistory
+};
@@ -0,0 +1,120 @@
+// Days off (holiday, vacation, sick leave, half day), stored as a "dayOff"
+// field on the day entry of the data file: { type, note }. A day off lowers
+// the expected hours of that day (to zero, or by half for a half day), which is
+// how it counts toward the time bank and the goals (see goals.js).
+
+const { getLocalDateKey } = require('./history');
+
+const DAY_OFF_TYPES = {
+    holiday: { label: 'Holiday', expectedFactor: 0 },
+    vacation: { label: 'Vacation', expectedFactor: 0 },
+    sick: { label: 'Sick leave', expectedFactor: 0 },
+    half: { label: 'Half day', expectedFactor: 0.5 }
+};
+
+// Longest range marked or imported at once
+const MAX_RANGE_DAYS = 366;
+
+function normalizeDayOff(raw) {
+    if (!raw || !DAY_OFF_TYPES[raw.type]) return null;
+    const note = typeof raw.note === 'string' ? raw.note.trim() : '';
+    return note ? { type: raw.type, note } : { type: raw.type };
+}
+
+// { [dateKey]: { type, note } } for every marked day in the data file
+function getDaysOff(allData) {
+    const daysOff = {};
+    Object.keys(allData).forEach(dateKey => {
+        const dayOff = allData[dateKey] && normalizeDayOff(allData[dateKey].dayOff);
+        if (dayOff) daysOff[dateKey] = dayOff;
+    });
+    return daysOff;
+}
+
+function getExpectedFactor(dayOff) {
+    return dayOff ? DAY_OFF_TYPES[dayOff.type].expectedFactor : 1;
+}
+
+function parseDateKey(dateKey) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+// Date keys from..to inclusive
+function getDateRange(from, to) {
+    const keys = [];
+    const date = parseDateKey(from);
+    for (let key = from; key <= to && keys.length < MAX_RANGE_DAYS; key = getLocalDateKey(date)) {
+        keys.push(key);
+        date.setDate(date.getDate() + 1);
+    }
+    return keys;
+}
+
+// --- iCalendar import ---
+
+function unescapeIcsText(text) {
+    return text
+        .replace(/\\n/gi, ' ')
+        .replace(/\\([,;\\])/g, '$1')
+        .trim();
+}
+
+// "20240101" or "20240101T090000[Z]" -> "2024-01-01" (date part as written)
+function icsDateKey(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// Returns [{ date, note }] for every day covered by a VEVENT
+function parseIcsDays(text) {
+    // Unfold continuation lines (RFC 5545 3.1)
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const days = [];
+    let event = null;
+
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            event = {};
+            return;
+        }
+        if (line === 'END:VEVENT') {
+            if (event && event.start) {
+                // DTEND is exclusive for all-day events; timed events cover their start day
+                const last = event.end && event.end > event.start
+                    ? getLocalDateKey(new Date(parseDateKey(event.end).getTime() - 12 * 3600 * 1000))
+                    : event.start;
+                getDateRange(event.start, event.allDay ? last : event.start)
+                    .forEach(date => days.push({ date, note: event.summary || '' }));
+            }
+            event = null;
+            return;
+        }
+        if (!event) return;
+
+        const separator = line.indexOf(':');
+        if (separator < 0) return;
+        const name = line.slice(0, separator).split(';')[0].toUpperCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (name === 'DTSTART') {
+            event.start = icsDateKey(value);
+            event.allDay = !value.includes('T');
+        } else if (name === 'DTEND') {
+            event.end = icsDateKey(value);
+        } else if (name === 'SUMMARY') {
+            event.summary = unescapeIcsText(value);
+        }
+    });
+
+    return days;
+}
+
+module.exports = {
+    DAY_OFF_TYPES,
+    normalizeDayOff,
+    getDaysOff,
+    getExpectedFactor,
+    getDateRange,
+    parseIcsDays
+};
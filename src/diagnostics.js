@@ -0,0 +1,58 @@
+// In-memory diagnostics for Settings > Diagnostics and the exported bundle:
+// the last tracking ticks (idle seconds, provider, app detection, resulting
+// state) and the last errors written to the log.
+
+const path = require('path');
+const fs = require('fs');
+const { createZip } = require('./zip');
+
+const MAX_TICKS = 30;
+const MAX_ERRORS = 20;
+
+function createDiagnostics({ maxTicks = MAX_TICKS, maxErrors = MAX_ERRORS } = {}) {
+    const ticks = [];
+    const errors = [];
+
+    function push(list, item, max) {
+        list.push(item);
+        if (list.length > max) list.splice(0, list.length - max);
+    }
+
+    return {
+        // tick: { at, durationMs, idleProvider, idleSeconds, processCount, matched, appsOk, isIdle, override, state }
+        addTick: tick => push(ticks, tick, maxTicks),
+        // error: { at, message }
+        addError: error => push(errors, error, maxErrors),
+        // Newest first
+        getTicks: () => ticks.slice().reverse(),
+        getErrors: () => errors.slice().reverse()
+    };
+}
+
+// Settings without secrets (API token, webhook secrets), for the bundle
+function redactSettings(settings) {
+    const redacted = JSON.parse(JSON.stringify(settings));
+    if (redacted.api && redacted.api.token) redacted.api.token = '<redacted>';
+    (redacted.webhooks || []).forEach(webhook => {
+        if (webhook.secret) webhook.secret = '<redacted>';
+    });
+    return redacted;
+}
+
+// Zip with diagnostics.json (snapshot + settings) and the log files. History data is not included.
+function buildBundle({ snapshot, settings, logFiles }) {
+    const entries = [{
+        name: 'diagnostics.json',
+        data: JSON.stringify({ ...snapshot, settings: redactSettings(settings) }, null, 2)
+    }];
+    logFiles.forEach(file => {
+        entries.push({ name: `logs/${path.basename(file)}`, data: fs.readFileSync(file) });
+    });
+    return createZip(entries);
+}
+
+module.exports = {
+    createDiagnostics,
+    redactSettings,
+    buildBundle
+};
@@ -0,0 +1,206 @@
+// History exporters: CSV (per session or per day), normalized JSON and iCalendar.
+// All of them take the output of history.getDaysInRange() plus the project list.
+// Days carrying a "billing" result (rounding.applyBillingRules) also get billed values.
+
+const { formatLocalTime } = require('./history');
+const { getBilledBySession } = require('./rounding');
+
+const FORMATS = {
+    'csv-sessions': { extension: 'csv', label: 'CSV (one row per session)' },
+    'csv-daily': { extension: 'csv', label: 'CSV (daily summary)' },
+    json: { extension: 'json', label: 'JSON' },
+    ics: { extension: 'ics', label: 'iCalendar' }
+};
+
+function toHours(seconds) {
+    return (seconds / 3600).toFixed(2);
+}
+
+function getSource(session) {
+    if (session.manual) return 'manual';
+    if (session.edited) return 'edited';
+    if (session.forced) return 'forced';
+    return 'auto';
+}
+
+function hasBilling(days) {
+    return days.some(day => day.billing);
+}
+
+// Billed seconds per raw session start, or null for days without billing
+function billedSessions(day) {
+    return day.billing ? getBilledBySession(day.billing, day.sessions) : null;
+}
+
+function normalizeSession(session, date, projects, billed = null) {
+    const project = projects.find(p => p.id === session.project);
+    const normalized = {
+        date,
+        start: session.start,
+        end: session.end,
+        startTime: formatLocalTime(new Date(session.start)),
+        endTime: formatLocalTime(new Date(session.end)),
+        duration: session.duration,
+        project: project ? project.name : null,
+        tags: session.tags || [],
+        source: getSource(session)
+    };
+    if (billed) normalized.billedDuration = billed[session.start].billed;
+    return normalized;
+}
+
+// --- CSV ---
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRows(rows) {
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function toSessionsCsv(days, projects) {
+    const billing = hasBilling(days);
+    const header = ['date', 'start_time', 'end_time', 'start', 'end', 'duration_seconds', 'duration_hours', 'project', 'tags', 'source'];
+    const rows = [billing ? header.concat(['billed_seconds', 'billed_hours']) : header];
+    days.forEach(day => {
+        const billed = billedSessions(day);
+        day.sessions.forEach(session => {
+            const s = normalizeSession(session, day.date, projects, billed);
+            const row = [s.date, s.startTime, s.endTime, s.start, s.end, s.duration, toHours(s.duration), s.project, s.tags.join(';'), s.source];
+            rows.push(billing ? row.concat([s.billedDuration, toHours(s.billedDuration)]) : row);
+        });
+    });
+    return csvRows(rows);
+}
+
+function toDailyCsv(days) {
+    const billing = hasBilling(days);
+    const header = ['date', 'sessions', 'first_start', 'last_end', 'total_seconds', 'total_hours'];
+    const rows = [billing ? header.concat(['billed_seconds', 'billed_hours']) : header];
+    days.forEach(day => {
+        const first = day.sessions[0];
+        const last = day.sessions[day.sessions.length - 1];
+        const row = [
+            day.date,
+            day.sessions.length,
+            first ? formatLocalTime(new Date(first.start)) : '',
+            last ? formatLocalTime(new Date(last.end)) : '',
+            day.total,
+            toHours(day.total)
+        ];
+        rows.push(billing ? row.concat([day.billing.total, toHours(day.billing.total)]) : row);
+    });
+    return csvRows(rows);
+}
+
+// --- JSON ---
+
+function toJson(days, projects, { from, to } = {}) {
+    const output = {
+        exportedAt: new Date().toISOString(),
+        from: from || null,
+        to: to || null,
+        totalSeconds: days.reduce((acc, day) => acc + day.total, 0),
+        days: days.map(day => {
+            const billed = billedSessions(day);
+            const entry = {
+                date: day.date,
+                totalSeconds: day.total,
+                sessions: day.sessions.map(session => normalizeSession(session, day.date, projects, billed))
+            };
+            if (day.billing) entry.billedSeconds = day.billing.total;
+            return entry;
+        })
+    };
+    if (hasBilling(days)) {
+        output.billedSeconds = days.reduce((acc, day) => acc + (day.billing ? day.billing.total : 0), 0);
+    }
+    return JSON.stringify(output, null, 2);
+}
+
+// --- iCalendar ---
+
+function icsDate(iso) {
+    // 2024-01-31T12:00:00.000Z -> 20240131T120000Z
+    return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets must be folded (RFC 5545 3.1)
+function foldLine(line) {
+    const parts = [];
+    let rest = line;
+    while (rest.length > 75) {
+        parts.push(rest.slice(0, 75));
+        rest = ' ' + rest.slice(75);
+    }
+    parts.push(rest);
+    return parts.join('\r\n');
+}
+
+function toIcs(days, projects) {
+    const stamp = icsDate(new Date().toISOString());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Time Tracker//Time Tracker Export//EN',
+        'CALSCALE:GREGORIAN'
+    ];
+
+    days.forEach(day => {
+        const billed = billedSessions(day);
+        day.sessions.forEach(session => {
+            const s = normalizeSession(session, day.date, projects, billed);
+            const details = [`Duration: ${toHours(s.duration)}h`, `Source: ${s.source}`];
+            if (billed) details.push(`Billed: ${toHours(s.billedDuration)}h`);
+            if (s.tags.length > 0) details.push(`Tags: ${s.tags.join(', ')}`);
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${icsDate(s.start)}-${icsDate(s.end)}@time-tracker`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${icsDate(s.start)}`,
+                `DTEND:${icsDate(s.end)}`,
+                `SUMMARY:${icsText(s.project ? `Work: ${s.project}` : 'Work')}`,
+                `DESCRIPTION:${icsText(details.join('\n'))}`,
+                'END:VEVENT'
+            );
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function exportDays(format, days, projects, range) {
+    switch (format) {
+        case 'csv-sessions':
+            return toSessionsCsv(days, projects);
+        case 'csv-daily':
+            return toDailyCsv(days);
+        case 'json':
+            return toJson(days, projects, range);
+        case 'ics':
+            return toIcs(days, projects);
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+module.exports = {
+    FORMATS,
+    toSessionsCsv,
+    toDailyCsv,
+    toJson,
+    toIcs,
+    exportDays
+};
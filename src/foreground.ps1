@@ -0,0 +1,36 @@
+$source = @"
+using System;
+using System.Text;
+using System.Runtime.InteropServices;
+
+public class Foreground {
+    [DllImport("user32.dll")]
+    public static extern IntPtr GetForegroundWindow();
+
+    [DllImport("user32.dll", CharSet = CharSet.Unicode)]
+    public static extern int GetWindowText(IntPtr hWnd, StringBuilder text, int count);
+
+    [DllImport("user32.dll")]
+    public static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint processId);
+}
+"@
+
+Add-Type -TypeDefinition $source -Language CSharp
+
+[Console]::OutputEncoding = [System.Text.Encoding]::UTF8
+
+$hwnd = [Foreground]::GetForegroundWindow()
+if ($hwnd -eq [IntPtr]::Zero) {
+    exit 0
+}
+
+$processId = 0
+[Foreground]::GetWindowThreadProcessId($hwnd, [ref]$processId) | Out-Null
+$title = New-Object System.Text.StringBuilder 512
+[Foreground]::GetWindowText($hwnd, $title, $title.Capacity) | Out-Null
+
+$process = Get-Process -Id $processId -ErrorAction SilentlyContinue
+if ($process) {
+    # Process name and window title, tab separated
+    Write-Output ($process.ProcessName + ".exe`t" + $title.ToString())
+}
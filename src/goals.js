@@ -0,0 +1,63 @@
+// Goal notifications: daily goals, weekly goal, "time to stop" reminder and
+// end-of-day summary. Which ones already fired is kept as a list of keys in
+// the day entry of the data file ("notified"), so restarts don't re-fire them.
+
+function formatHoursMinutes(totalSeconds) {
+    const totalMins = Math.floor(totalSeconds / 60);
+    const hours = Math.floor(totalMins / 60);
+    const mins = totalMins % 60;
+    return hours > 0 ? `${hours}h ${String(mins).padStart(2, '0')}min` : `${mins}min`;
+}
+
+// "HH:MM" today -> Date
+function timeToday(timeValue, now) {
+    const [h, m] = timeValue.split(':').map(Number);
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate(), h, m);
+}
+
+// state: { todaySeconds, weekSeconds, sessionsCount, notified: [], weeklyNotified, now: Date,
+// dayFactor, weekFactor }. The factors scale the targets for days off (see daysoff.js):
+// 1 on a normal day or week, 0.5 on a half day, 0 when nothing is expected (no goal fires).
+// Returns the notifications that are due: [{ key, body }]
+function evaluateGoals(goals, state) {
+    const due = [];
+    const notified = new Set(state.notified);
+    const dayFactor = state.dayFactor === undefined ? 1 : state.dayFactor;
+    const weekFactor = state.weekFactor === undefined ? 1 : state.weekFactor;
+
+    if (dayFactor > 0) {
+        goals.daily.forEach(goal => {
+            const key = `daily-${goal.hours}`;
+            if (!notified.has(key) && state.todaySeconds >= goal.hours * 3600 * dayFactor) {
+                due.push({ key, body: goal.message });
+            }
+        });
+
+        if (goals.stopReminder.enabled && !notified.has('stop') &&
+            state.todaySeconds >= goals.stopReminder.hours * 3600 * dayFactor) {
+            due.push({ key: 'stop', body: goals.stopReminder.message });
+        }
+    }
+
+    if (goals.weekly.enabled && weekFactor > 0 && !state.weeklyNotified && !notified.has('weekly') &&
+        state.weekSeconds >= goals.weekly.hours * 3600 * weekFactor) {
+        due.push({ key: 'weekly', body: goals.weekly.message });
+    }
+
+    // Nothing to summarize on days without tracked time
+    if (goals.endOfDaySummary.enabled && !notified.has('summary') && state.todaySeconds > 0 &&
+        state.now >= timeToday(goals.endOfDaySummary.time, state.now)) {
+        const sessionsLabel = state.sessionsCount === 1 ? 'session' : 'sessions';
+        due.push({
+            key: 'summary',
+            body: `Today: ${formatHoursMinutes(state.todaySeconds)} in ${state.sessionsCount} ${sessionsLabel}.`
+        });
+    }
+
+    return due;
+}
+
+module.exports = {
+    evaluateGoals,
+    formatHoursMinutes
+};
@@ -0,0 +1,175 @@
+// Read-side helpers over the data file (date key -> { total, sessions }).
+// Sessions are regrouped by the workday of their start, like the History modal does.
+// A workday starts at startHour (settings.workday, 0 = midnight): with 4, a session
+// started at 02:00 on the 11th belongs to the 10th.
+
+function pad2(n) {
+    return String(n).padStart(2, '0');
+}
+
+function getLocalDateKey(date) {
+    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+function getWorkdayKey(date, startHour = 0) {
+    if (date.getHours() >= startHour) return getLocalDateKey(date);
+    return getLocalDateKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1));
+}
+
+// { start, end } Dates of the workday dateKey, end being the start of the next one
+function getWorkdayBounds(dateKey, startHour = 0) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    return { start: new Date(y, m - 1, d, startHour), end: new Date(y, m - 1, d + 1, startHour) };
+}
+
+// "HH:MM:SS" in local time
+function formatLocalTime(date) {
+    return `${pad2(date.getHours())}:${pad2(date.getMinutes())}:${pad2(date.getSeconds())}`;
+}
+
+// Monday of the week containing dateKey, as YYYY-MM-DD
+function getWeekStartKey(dateKey) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    const date = new Date(y, m - 1, d);
+    date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    return getLocalDateKey(date);
+}
+
+// Returns { [dateKey]: { sessions: [...], total } } with sessions sorted by start
+function groupSessionsByDay(allData, startHour = 0) {
+    const grouped = {};
+
+    Object.values(allData).forEach(dayData => {
+        if (!dayData || !Array.isArray(dayData.sessions)) return;
+        dayData.sessions.forEach(session => {
+            if (!session.start || !session.end) return;
+
+            const dateKey = getWorkdayKey(new Date(session.start), startHour);
+            if (!grouped[dateKey]) {
+                grouped[dateKey] = { sessions: [], total: 0 };
+            }
+            grouped[dateKey].sessions.push(session);
+            grouped[dateKey].total += session.duration;
+        });
+    });
+
+    Object.values(grouped).forEach(day => {
+        day.sessions.sort((a, b) => new Date(a.start) - new Date(b.start));
+    });
+    return grouped;
+}
+
+// Days between from and to (YYYY-MM-DD, inclusive, either may be empty), oldest first
+function getDaysInRange(allData, from, to, startHour = 0) {
+    const grouped = groupSessionsByDay(allData, startHour);
+    return Object.keys(grouped)
+        .filter(dateKey => (!from || dateKey >= from) && (!to || dateKey <= to))
+        .sort()
+        .map(dateKey => ({ date: dateKey, ...grouped[dateKey] }));
+}
+
+// --- History Queries ---
+// Used by the History modal through IPC so only the days shown leave the main process.
+
+const DAYS_PER_PAGE = 31;
+
+// Lowercase words of a search string
+function getSearchTerms(search) {
+    return typeof search === 'string' ? search.toLowerCase().split(/\s+/).filter(Boolean) : [];
+}
+
+function matchesTerms(text, terms) {
+    const lower = text.toLowerCase();
+    return terms.every(term => lower.includes(term));
+}
+
+// grouped: groupSessionsByDay(), daysOff: { [dateKey]: { type, note } }.
+// options: { from, to (YYYY-MM-DD, inclusive, either may be empty), search, offset, limit }.
+// A search matches project names, tags, device names and day-off labels and notes
+// (every word must appear); matching days keep only their matching sessions.
+// labels: { getProjectName(id), getDayOffLabel(type) }.
+// Returns { days: [{ date, sessions, total, dayOff? }] newest first, offset, limit, totalDays, totalSeconds, hasMore }.
+function queryDays(grouped, daysOff, options, labels) {
+    const { from, to } = options;
+    const terms = getSearchTerms(options.search);
+    const offset = Number.isInteger(options.offset) && options.offset > 0 ? options.offset : 0;
+    const limit = Number.isInteger(options.limit) && options.limit > 0 ? options.limit : DAYS_PER_PAGE;
+
+    const dateKeys = Array.from(new Set(Object.keys(grouped).concat(Object.keys(daysOff))))
+        .filter(dateKey => (!from || dateKey >= from) && (!to || dateKey <= to))
+        .sort((a, b) => b.localeCompare(a));
+
+    const days = [];
+    dateKeys.forEach(dateKey => {
+        const sessions = grouped[dateKey] ? grouped[dateKey].sessions : [];
+        const dayOff = daysOff[dateKey] || null;
+        const dayOffText = dayOff ? `${labels.getDayOffLabel(dayOff.type)} ${dayOff.note || ''}` : '';
+
+        let matched = sessions;
+        if (terms.length > 0) {
+            matched = sessions.filter(session => matchesTerms([
+                labels.getProjectName(session.project) || '',
+                (session.tags || []).join(' '),
+                session.device || '',
+                dayOffText
+            ].join(' '), terms));
+            if (matched.length === 0 && !(dayOff && matchesTerms(dayOffText, terms))) return;
+        }
+
+        const day = { date: dateKey, sessions: matched, total: matched.reduce((acc, s) => acc + s.duration, 0) };
+        if (dayOff) day.dayOff = dayOff;
+        days.push(day);
+    });
+
+    return {
+        days: days.slice(offset, offset + limit),
+        offset,
+        limit,
+        totalDays: days.length,
+        totalSeconds: days.reduce((acc, day) => acc + day.total, 0),
+        hasMore: offset + limit < days.length
+    };
+}
+
+// Months with sessions or days off, newest first: [{ month: 'YYYY-MM', days, total }]
+function getMonthIndex(grouped, daysOff) {
+    const months = {};
+    Object.keys(grouped).concat(Object.keys(daysOff)).forEach(dateKey => {
+        const month = dateKey.slice(0, 7);
+        if (!months[month]) months[month] = { month, days: 0, total: 0 };
+    });
+    Object.keys(grouped).forEach(dateKey => {
+        const month = months[dateKey.slice(0, 7)];
+        month.total += grouped[dateKey].total;
+        if (grouped[dateKey].total > 0) month.days++;
+    });
+    return Object.values(months).sort((a, b) => b.month.localeCompare(a.month));
+}
+
+// { [dateKey]: { total, firstStart, lastEnd } } for the Reports tab
+function getDayTotals(grouped) {
+    const totals = {};
+    Object.keys(grouped).forEach(dateKey => {
+        const sessions = grouped[dateKey].sessions;
+        if (sessions.length === 0) return;
+        totals[dateKey] = {
+            total: grouped[dateKey].total,
+            firstStart: sessions[0].start,
+            lastEnd: sessions.reduce((latest, s) => (new Date(s.end) > new Date(latest) ? s.end : latest), sessions[0].end)
+        };
+    });
+    return totals;
+}
+
+module.exports = {
+    getLocalDateKey,
+    getWorkdayKey,
+    getWorkdayBounds,
+    formatLocalTime,
+    getWeekStartKey,
+    groupSessionsByDay,
+    getDaysInRange,
+    queryDays,
+    getMonthIndex,
+    getDayTotals
+};
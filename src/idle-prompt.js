@@ -0,0 +1,41 @@
+const summaryEl = document.getElementById('idle-summary');
+const errorEl = document.getElementById('idle-error');
+const previousBtn = document.getElementById('idle-previous');
+const tagInput = document.getElementById('idle-tag');
+
+function formatClock(iso) {
+    return new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+async function loadGap() {
+    const gap = await window.electronAPI.getIdleGap();
+    if (!gap) {
+        window.close();
+        return;
+    }
+
+    const minutes = Math.round((new Date(gap.end) - new Date(gap.start)) / 60000);
+    summaryEl.textContent = `You were away for ${minutes} min (${formatClock(gap.start)} - ${formatClock(gap.end)}). What should be done with this time?`;
+    previousBtn.disabled = !gap.canAddToPrevious;
+
+    const datalist = document.getElementById('idle-tags');
+    datalist.innerHTML = '';
+    gap.tags.forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        datalist.appendChild(option);
+    });
+}
+
+async function resolve(decision) {
+    const result = await window.electronAPI.resolveIdleGap(decision);
+    if (!result.ok) {
+        errorEl.textContent = result.error;
+    }
+}
+
+document.getElementById('idle-discard').addEventListener('click', () => resolve({ choice: 'discard' }));
+previousBtn.addEventListener('click', () => resolve({ choice: 'previous' }));
+document.getElementById('idle-separate').addEventListener('click', () => resolve({ choice: 'separate', tag: tagInput.value }));
+
+loadGap();
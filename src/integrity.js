@@ -0,0 +1,151 @@
+// Integrity check for the days map of the data file. Fixes, in this order:
+//   invalid day entries and sessions, negative or zero durations, durations that
+//   don't match start/end, sessions stored under the wrong date key, duplicate
+//   and overlapping sessions, and day totals that don't match their sessions.
+// Sessions belong to the workday they start in (see history.getWorkdayKey).
+// Returns the repaired copy and the list of issues found: [{ type, date, detail }].
+// refileSessions() only does the re-filing, for when the day boundary changes.
+
+const { getWorkdayKey } = require('./history');
+const { scaleSessionApps } = require('./apps');
+
+const ISSUE_LABELS = {
+    'invalid-day': 'Invalid day entry',
+    'invalid-session': 'Session without valid start/end removed',
+    'negative-duration': 'Session ending before it starts removed',
+    'duration-mismatch': 'Duration recalculated from start/end',
+    'wrong-date': 'Session moved to the day it started',
+    duplicate: 'Duplicate session removed',
+    overlap: 'Overlapping session shortened',
+    'overlap-removed': 'Session inside another one removed',
+    'total-mismatch': 'Day total recalculated'
+};
+
+function describeSession(session) {
+    return `${session.start} - ${session.end}`;
+}
+
+function repairData(days, startHour = 0) {
+    const issues = [];
+    const report = (type, date, detail) => issues.push({ type, date, detail });
+    const repaired = {};
+    const entries = [];
+
+    // 1. Day entries and single sessions
+    Object.keys(days).forEach(dateKey => {
+        const day = days[dateKey];
+        if (!day || typeof day !== 'object' || Array.isArray(day)) {
+            report('invalid-day', dateKey, 'Replaced with an empty day');
+            repaired[dateKey] = { total: 0, sessions: [] };
+            return;
+        }
+        repaired[dateKey] = { ...day, sessions: [] };
+        if (!Array.isArray(day.sessions)) {
+            report('invalid-day', dateKey, 'Missing session list');
+            return;
+        }
+
+        day.sessions.forEach(session => {
+            const startMs = session ? new Date(session.start).getTime() : NaN;
+            const endMs = session ? new Date(session.end).getTime() : NaN;
+            if (isNaN(startMs) || isNaN(endMs)) {
+                report('invalid-session', dateKey, JSON.stringify(session));
+                return;
+            }
+            if (endMs <= startMs) {
+                report('negative-duration', dateKey, describeSession(session));
+                return;
+            }
+
+            const fixed = { ...session };
+            const duration = Math.floor((endMs - startMs) / 1000);
+            if (fixed.duration !== duration) {
+                report('duration-mismatch', dateKey, `${describeSession(session)}: ${fixed.duration} -> ${duration}s`);
+                fixed.duration = duration;
+            }
+            entries.push({ dateKey, session: fixed, startMs, endMs });
+        });
+    });
+
+    // 2. Duplicates and overlaps, across days (a session may be filed under the wrong day)
+    entries.sort((a, b) => a.startMs - b.startMs || b.endMs - a.endMs);
+    let previous = null;
+    entries.forEach(entry => {
+        if (previous && entry.startMs === previous.startMs && entry.endMs === previous.endMs) {
+            report('duplicate', entry.dateKey, describeSession(entry.session));
+            return;
+        }
+        if (previous && entry.startMs < previous.endMs) {
+            if (entry.endMs <= previous.endMs) {
+                report('overlap-removed', entry.dateKey, `${describeSession(entry.session)} already covered by other sessions`);
+                return;
+            }
+            // The earlier session ends where this one starts: start times identify
+            // sessions (edit/split/delete), so they are never changed
+            const trimmed = previous.session;
+            report('overlap', previous.dateKey, `${describeSession(trimmed)} now ends at ${entry.session.start}`);
+            const duration = Math.floor((entry.startMs - previous.startMs) / 1000);
+            const breakdown = scaleSessionApps(trimmed, duration / (trimmed.duration || 1));
+            delete trimmed.apps;
+            delete trimmed.titles;
+            Object.assign(trimmed, breakdown, { end: entry.session.start, duration });
+            previous.endMs = entry.startMs;
+        }
+
+        // 3. File each session under the workday it started
+        const dateKey = getWorkdayKey(new Date(entry.startMs), startHour);
+        if (dateKey !== entry.dateKey) {
+            report('wrong-date', entry.dateKey, `${describeSession(entry.session)} -> ${dateKey}`);
+            if (!repaired[dateKey]) repaired[dateKey] = { total: 0, sessions: [] };
+        }
+        repaired[dateKey].sessions.push(entry.session);
+        previous = entry;
+    });
+
+    // 4. Totals
+    Object.keys(repaired).forEach(dateKey => {
+        const day = repaired[dateKey];
+        const total = day.sessions.reduce((acc, s) => acc + s.duration, 0);
+        if (day.total !== total) {
+            // A day entry created for a moved session is not a mismatch worth reporting
+            if (days[dateKey]) report('total-mismatch', dateKey, `${day.total} -> ${total}s`);
+            day.total = total;
+        }
+    });
+
+    return { days: repaired, issues };
+}
+
+// Move sessions whose workday changed (settings.workday.startHour) to their new day;
+// nothing else is touched. Returns { days, moved: [{ from, to, start }] }.
+function refileSessions(days, startHour = 0) {
+    const refiled = {};
+    const moved = [];
+    Object.keys(days).forEach(dateKey => {
+        refiled[dateKey] = days[dateKey];
+    });
+
+    Object.keys(days).forEach(dateKey => {
+        if (!days[dateKey] || !Array.isArray(days[dateKey].sessions)) return;
+        days[dateKey].sessions.forEach(session => {
+            const target = getWorkdayKey(new Date(session.start), startHour);
+            if (target === dateKey) return;
+            const from = refiled[dateKey];
+            refiled[dateKey] = { ...from, sessions: from.sessions.filter(s => s !== session), total: from.total - session.duration };
+            const to = refiled[target] || { total: 0, sessions: [] };
+            refiled[target] = { ...to, sessions: to.sessions.concat(session), total: to.total + session.duration };
+            moved.push({ from: dateKey, to: target, start: session.start });
+        });
+    });
+
+    moved.forEach(({ to }) => {
+        refiled[to].sessions.sort((a, b) => new Date(a.start) - new Date(b.start));
+    });
+    return { days: refiled, moved };
+}
+
+module.exports = {
+    ISSUE_LABELS,
+    repairData,
+    refileSessions
+};
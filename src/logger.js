@@ -0,0 +1,73 @@
+// Debug log with levels and size-based rotation. Lines look like
+//   [2024-05-02 09:15:03] INFO  Started tracking session (Active)
+// When the file would grow past maxBytes it becomes <file>.1 (the older ones
+// shift to .2, .3...) and a new file is started; maxFiles counts the rotated ones.
+
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const MAX_BYTES = 1024 * 1024;
+const MAX_FILES = 3;
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function formatTimestamp(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// options: { file, level, maxBytes, maxFiles, onEntry }. onEntry({ at, level, message })
+// is called for every line written, e.g. to keep recent errors in memory.
+function createLogger({ file, level = 'info', maxBytes = MAX_BYTES, maxFiles = MAX_FILES, onEntry = null }) {
+    let minLevel = LEVELS.includes(level) ? level : 'info';
+    let size = null; // Current file size, read on the first write
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    function rotate() {
+        for (let i = maxFiles - 1; i >= 1; i--) {
+            if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+        }
+        fs.renameSync(file, `${file}.1`);
+        size = 0;
+    }
+
+    function write(lineLevel, message) {
+        if (LEVELS.indexOf(lineLevel) < LEVELS.indexOf(minLevel)) return;
+        const now = new Date();
+        const line = `[${formatTimestamp(now)}] ${lineLevel.toUpperCase().padEnd(5)} ${message}\n`;
+        try {
+            if (size === null) size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+            if (size > 0 && size + Buffer.byteLength(line) > maxBytes) rotate();
+            fs.appendFileSync(file, line);
+            size += Buffer.byteLength(line);
+        } catch (e) {
+            console.error('Logging failed:', e);
+            size = null;
+        }
+        if (onEntry) onEntry({ at: now.getTime(), level: lineLevel, message });
+    }
+
+    return {
+        log: (message, lineLevel = 'info') => write(LEVELS.includes(lineLevel) ? lineLevel : 'info', message),
+        setLevel(newLevel) {
+            if (LEVELS.includes(newLevel)) minLevel = newLevel;
+        },
+        getLevel: () => minLevel,
+        // The log and its rotated copies that exist, newest first
+        getFiles() {
+            const files = [file];
+            for (let i = 1; i <= maxFiles; i++) files.push(`${file}.${i}`);
+            return files.filter(f => fs.existsSync(f));
+        }
+    };
+}
+
+module.exports = {
+    LEVELS,
+    createLogger
+};
@@ -1,7 +1,35 @@
-const { app, BrowserWindow, ipcMain, Tray, Menu, nativeImage, Notification } = require('electron');
+const { app, BrowserWindow, ipcMain, Tray, Menu, nativeImage, Notification, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const { exec, execSync } = require('child_process');
+const { normalizeSettings, normalizeTags, loadSettings, saveSettings } = require('./settings');
+const { evaluateRules } = require('./rules');
+const { selectProviders } = require('./providers');
+const {
+    buildSession, flattenSessions, findSession, removeSession, insertSession,
+    validateSessionRange, findOverlap
+} = require('./sessions');
+const {
+    getDaysInRange, groupSessionsByDay, getWeekStartKey, getWorkdayKey, getWorkdayBounds,
+    queryDays, getMonthIndex, getDayTotals
+} = require('./history');
+const { evaluateGoals } = require('./goals');
+const { BACKUP_COUNT, writeJsonAtomic, readJsonWithBackup } = require('./storage');
+const { createApiServer } = require('./api-server');
+const { createTrayIcons } = require('./tray-icons');
+const { SCHEMA_VERSION, migrateData, wrapData } = require('./schema');
+const { ISSUE_LABELS, repairData, refileSessions } = require('./integrity');
+const { writeDeviceFile, readOtherDevices, mergeDevices, extraSeconds } = require('./sync');
+const { getScheduledSeconds, getExpectedSeconds, computeTimeBank } = require('./timebank');
+const { resolveAppName, createBreakdown, addSample, toSessionFields, scaleSessionApps } = require('./apps');
+const { DAY_OFF_TYPES, normalizeDayOff, getDaysOff, getExpectedFactor, getDateRange, parseIcsDays } = require('./daysoff');
+const { FORMATS, exportDays } = require('./exporters');
+const { applyBillingRules, getBilledBySession } = require('./rounding');
+const { buildTimesheetHtml } = require('./timesheet');
+const { findViolations, getBreakWarning, getPreviousEnd, checkHistory } = require('./compliance');
+const { createWebhookDispatcher } = require('./webhooks');
+const { loadProfiles, saveProfiles, getProfileDir, addProfile, renameProfile, removeProfile } = require('./profiles');
+const { createLogger } = require('./logger');
+const { createDiagnostics, buildBundle } = require('./diagnostics');
 
 function getLocalDateStr(date = new Date()) {
     const year = date.getFullYear();
@@ -10,58 +38,232 @@ function getLocalDateStr(date = new Date()) {
     return `${year}-${month}-${day}`;
 }
 
+// Workday an instant belongs to, following the configured day boundary
+function getWorkdayStr(date = new Date()) {
+    return getWorkdayKey(date, settings.workday.startHour);
+}
+
 let mainWindow;
 let tray;
 let isQuitting = false;
 
-// Tracking State
-let trackingData = {
-    // Current session
-    currentSessionStart: null,
+// Tracking State, reset when switching profiles
+function createTrackingData() {
+    return {
+        // Current session
+        currentSessionStart: null,
+        currentProject: null, // Project id stamped on the running session
+        currentSessionForced: false, // Running session was started by "Force Tracking"
+
+        // Manual override of the automatic decision: { mode: 'pause' | 'force', until: ms | null }
+        override: null,
+
+        // Today's accumulated data
+        sessions: [], // Array of { start: ISO, end: ISO, duration: seconds, project?, tags? }
+
+        // Track which date these sessions belong to
+        currentDate: getLocalDateStr(),
+
+        // Status
+        status: 'Initializing',
+        state: 'initializing', // 'tracking' | 'idle' | 'apps-closed' | 'manual-pause' | 'forced'
+        isTracking: false,
+        lastActiveTime: Date.now(),
+
+        // Goal notifications already sent today (keys, see goals.js), persisted with the day
+        notified: [],
+
+        // End (ms) of the last session before today, for the rest-between-workdays rule
+        previousDayEnd: null,
 
-    // Today's accumulated data
-    sessions: [], // Array of { start: ISO, end: ISO, duration: seconds }
+        // Idle gap: when the last session ended because of inactivity, and the gap
+        // waiting for a keep/discard decision ({ start, end, previousStart })
+        idleSince: null,
+        previousSessionStart: null,
+        pendingIdleGap: null,
 
-    // Track which date these sessions belong to
-    currentDate: getLocalDateStr(),
+        // Last payload sent to the UI (also served by the local API)
+        lastStatus: null,
 
-    // Status
-    status: 'Initializing',
-    isTracking: false,
-    lastActiveTime: Date.now(),
+        // This week's tracked time before today, for the weekly goal
+        weekBaseline: { seconds: 0, weeklyNotified: false, weekFactor: 1 },
 
-    // Notification flags for today
-    notificationsSent: {
-        h6: false,
-        h8: false,
-        h10: false
+        // Time bank balance up to yesterday; today's part is added live
+        timeBankBaseline: 0,
+        todayDayOff: null,
+
+        // Per-app breakdown of the running session (see apps.js)
+        currentApps: createBreakdown(),
+        lastForegroundSample: 0
+    };
+}
+
+let trackingData = createTrackingData();
+
+// Debug log in the app data folder, rotated by size (see logger.js). Shared by all profiles.
+const LOG_FILE = path.join(app.getPath('userData'), 'logs', 'time-tracker.log');
+
+// Recent ticks and errors for Settings > Diagnostics
+const diagnostics = createDiagnostics();
+
+const logger = createLogger({
+    file: LOG_FILE,
+    onEntry: entry => {
+        if (entry.level === 'error') diagnostics.addError({ at: entry.at, message: entry.message });
     }
-};
+});
 
-// Logging to Documents for easier access
-const LOG_FILE = path.join(app.getPath('documents'), 'time-tracker-debug.txt');
+// level: 'debug' | 'info' | 'warn' | 'error'
+function log(msg, level = 'info') {
+    logger.log(msg, level);
+}
+
+// --- Profiles ---
+
+const PROFILES_FILE = path.join(app.getPath('userData'), 'time-tracker-profiles.json');
+
+let profiles;
+try {
+    profiles = loadProfiles(PROFILES_FILE);
+} catch (e) {
+    log(`Failed to read profiles, using the default one: ${e.message}`, 'error');
+    profiles = saveProfiles(PROFILES_FILE, {});
+}
 
-function log(msg) {
+// Store data in userData directory (a subfolder for profiles other than the default)
+let DATA_FILE;
+let SETTINGS_FILE;
+let REPAIR_REPORT_FILE;
+let WEBHOOK_QUEUE_FILE;
+
+function useProfileFiles() {
+    const dir = getProfileDir(app.getPath('userData'), profiles.activeId);
+    fs.mkdirSync(dir, { recursive: true });
+    DATA_FILE = path.join(dir, 'time-tracker-data.json');
+    SETTINGS_FILE = path.join(dir, 'time-tracker-settings.json');
+    REPAIR_REPORT_FILE = path.join(dir, 'time-tracker-repair-report.json');
+    WEBHOOK_QUEUE_FILE = path.join(dir, 'time-tracker-webhook-queue.json');
+}
+
+useProfileFiles();
+
+function getActiveProfile() {
+    return profiles.profiles.find(p => p.id === profiles.activeId);
+}
+
+// User configuration (activity rules, ...), defaults until loaded
+let settings = normalizeSettings();
+
+// Save (partial) settings and react to what changed. Returns the saved settings.
+function applySettings(changes) {
+    const previousProject = settings.activeProjectId;
+    const previousApi = JSON.stringify(settings.api);
+    const previousSync = JSON.stringify(settings.sync);
+    const previousTimeBank = JSON.stringify(settings.timeBank);
+    const previousStartHour = settings.workday.startHour;
+    const previousWebhooks = JSON.stringify(settings.webhooks);
     try {
-        const timestamp = new Date().toLocaleString();
-        fs.appendFileSync(LOG_FILE, `[${timestamp}] ${msg}\n`);
+        settings = saveSettings(SETTINGS_FILE, { ...settings, ...changes });
+        log(`Settings saved. Rules: [${settings.rules.processes.join(', ')}] (${settings.rules.match}), idle ${settings.rules.idleThresholdSeconds}s`);
     } catch (e) {
-        console.error('Logging failed:', e);
+        log(`Failed to save settings: ${e.message}`, 'error');
+        return settings;
+    }
+    logger.setLevel(settings.logging.level);
+
+    if (settings.activeProjectId !== previousProject) {
+        onActiveProjectChanged();
+    }
+    if (JSON.stringify(settings.sync) !== previousSync) {
+        saveData({ backup: false }); // Writes this device's file to the new folder
+        refreshRemoteDevices();
     }
+    if (JSON.stringify(settings.api) !== previousApi) {
+        updateApiServer();
+    }
+    if (webhookDispatcher) {
+        if (JSON.stringify(settings.webhooks) !== previousWebhooks) webhookDispatcher.configure(settings.webhooks);
+        webhookDispatcher.setDevice(settings.sync.deviceName);
+    }
+    if (settings.workday.startHour !== previousStartHour) {
+        onWorkdayChanged();
+    } else if (JSON.stringify(settings.timeBank) !== previousTimeBank) {
+        try {
+            updateWeekBaseline(readAllData());
+        } catch (e) {
+            log(`Failed to compute time bank: ${e.message}`, 'error');
+        }
+    }
+    refreshTrayMenu();
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('settings-updated', settings);
+    }
+    return settings;
 }
 
-// Store data in userData directory
-const DATA_FILE = path.join(app.getPath('userData'), 'time-tracker-data.json');
+function loadAppSettings() {
+    try {
+        // Saving right away persists generated values (API token) and fills in new defaults
+        settings = saveSettings(SETTINGS_FILE, loadSettings(SETTINGS_FILE));
+        log(`Loaded settings. Rules: [${settings.rules.processes.join(', ')}] (${settings.rules.match}), idle ${settings.rules.idleThresholdSeconds}s`);
+    } catch (e) {
+        log(`Failed to load settings, using defaults: ${e.message}`, 'error');
+        settings = normalizeSettings();
+    }
+    logger.setLevel(settings.logging.level);
+}
+
+// Turn sessions left open by a crash (stored as "openSession" by the periodic
+// checkpoint) into regular sessions ending at their last checkpoint
+function recoverOpenSessions(allData) {
+    let recovered = 0;
+    Object.keys(allData).forEach(dateKey => {
+        const dayData = allData[dateKey];
+        if (!dayData || !dayData.openSession) return;
+
+        const { start, checkpoint, project, tags, apps, titles } = dayData.openSession;
+        delete dayData.openSession;
+
+        const startMs = new Date(start).getTime();
+        const endMs = new Date(checkpoint).getTime();
+        if (isNaN(startMs) || isNaN(endMs) || endMs <= startMs) return;
+
+        const extra = { recovered: true };
+        if (project) extra.project = project;
+        if (tags) extra.tags = tags;
+        if (apps) extra.apps = apps;
+        if (titles) extra.titles = titles;
+        insertSession(allData, buildSession(startMs, endMs, extra), dateKey);
+        recovered++;
+        log(`Recovered unfinished session from ${dateKey}: ${start} - ${checkpoint}`);
+    });
+    return recovered;
+}
 
 // Helper to load data
 function loadData() {
+    const today = getWorkdayStr();
+    trackingData.currentDate = today;
+
     try {
-        if (fs.existsSync(DATA_FILE)) {
-            const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-            const today = getLocalDateStr();
+        const result = readJsonWithBackup(DATA_FILE);
+        if (result) {
+            let data = migrateData(result.data).days;
 
-            // Set current date on load
-            trackingData.currentDate = today;
+            if (result.source !== DATA_FILE) {
+                // Keep the unreadable file around for inspection, then restore from the backup
+                if (fs.existsSync(DATA_FILE)) {
+                    fs.copyFileSync(DATA_FILE, `${DATA_FILE}.corrupt-${Date.now()}`);
+                }
+                log(`Data file could not be parsed, restored from ${path.basename(result.source)}`, 'warn');
+            }
+
+            const recovered = recoverOpenSessions(data);
+            const repair = migrateAndRepair(result, data);
+            if (repair.changed || recovered > 0 || result.source !== DATA_FILE) {
+                data = repair.days;
+                writeAllData(data);
+            }
 
             // Load today's sessions if they exist
             const todayData = data[today];
@@ -70,23 +272,197 @@ function loadData() {
             } else {
                 trackingData.sessions = [];
             }
+            trackingData.notified = todayData && Array.isArray(todayData.notified) ? todayData.notified : [];
+            updateWeekBaseline(data);
             log(`App Clean Start. Loaded ${trackingData.sessions.length} sessions for today (${today}).`);
         }
     } catch (e) {
-        log(`Failed to load data: ${e.message}`);
+        log(`Failed to load data: ${e.message}`, 'error');
+    }
+}
+
+// Read the whole history (date key -> { total, sessions }), from a backup if the file is corrupt
+function readAllData() {
+    const result = readJsonWithBackup(DATA_FILE);
+    if (!result) return {};
+    if (result.source !== DATA_FILE) {
+        log(`Data file unreadable, using ${path.basename(result.source)}`, 'warn');
     }
+    return migrateData(result.data).days;
 }
 
+// backup: rotate the .bak files. Checkpoints and other writes that add no finished
+// work skip it, so the backups keep reaching back past the running session.
+function writeAllData(allData, { backup = true } = {}) {
+    writeJsonAtomic(DATA_FILE, wrapData(allData), { backups: backup ? BACKUP_COUNT : 0 });
+
+    // A sync folder that is offline must not get in the way of the local save
+    if (settings.sync.enabled) {
+        try {
+            writeDeviceFile(settings.sync.folder, { id: settings.sync.deviceId, name: settings.sync.deviceName }, allData);
+        } catch (e) {
+            log(`Sync: failed to write device file: ${e.message}`, 'warn');
+        }
+    }
+}
+
+// --- Sync ---
+
+// How often the other devices' files are re-read from the sync folder
+const SYNC_REFRESH_MS = 60 * 1000;
+let remoteDevices = [];
+let lastSyncRefresh = 0;
+
+function refreshRemoteDevices() {
+    lastSyncRefresh = Date.now();
+    const previous = JSON.stringify(remoteDevices.map(d => [d.device.id, d.updatedAt]));
+
+    if (!settings.sync.enabled) {
+        remoteDevices = [];
+    } else {
+        try {
+            remoteDevices = readOtherDevices(settings.sync.folder, settings.sync.deviceId, log);
+        } catch (e) {
+            log(`Sync: failed to read ${settings.sync.folder}: ${e.message}`, 'warn');
+            remoteDevices = [];
+        }
+    }
+
+    if (JSON.stringify(remoteDevices.map(d => [d.device.id, d.updatedAt])) !== previous) {
+        log(`Sync: ${remoteDevices.length} other device(s) in the sync folder`);
+        try {
+            updateWeekBaseline(readAllData());
+        } catch (e) {
+            log(`Failed to compute weekly total: ${e.message}`, 'error');
+        }
+    }
+}
+
+// History as seen across all devices (just the local data when sync is off)
+function withRemoteDevices(allData) {
+    return remoteDevices.length > 0 ? mergeDevices(allData, remoteDevices) : allData;
+}
+
+// Other devices' sessions that may overlap today (stored under today or yesterday)
+function getRemoteRanges(todayKey, yesterdayKey) {
+    const ranges = [];
+    remoteDevices.forEach(remote => {
+        [yesterdayKey, todayKey].forEach(dateKey => {
+            const day = remote.days[dateKey];
+            if (!day || !Array.isArray(day.sessions)) return;
+            day.sessions.forEach(session => {
+                ranges.push({ start: new Date(session.start).getTime(), end: new Date(session.end).getTime() });
+            });
+        });
+    });
+    return ranges;
+}
+
+// --- Schema Migrations and Integrity Repair ---
+
+// Untouched copy of the file about to be migrated or repaired
+function backupDataFile(sourceFile, reason) {
+    if (!fs.existsSync(sourceFile)) return null;
+    const backupFile = `${DATA_FILE}.${reason}-${Date.now()}`;
+    fs.copyFileSync(sourceFile, backupFile);
+    return backupFile;
+}
+
+function saveRepairReport(report) {
+    try {
+        writeJsonAtomic(REPAIR_REPORT_FILE, report);
+    } catch (e) {
+        log(`Failed to save repair report: ${e.message}`, 'error');
+    }
+}
+
+// Run at load time: result is what readJsonWithBackup returned, days its migrated map.
+// Returns { days, changed }; a backup and a report are written when anything changes.
+function migrateAndRepair(result, days) {
+    const { fromVersion, applied } = migrateData(result.data);
+    if (fromVersion > SCHEMA_VERSION) {
+        log(`Data file has schema v${fromVersion}, newer than this version of the app (v${SCHEMA_VERSION})`, 'warn');
+    }
+
+    const repair = repairData(days, settings.workday.startHour);
+    if (applied.length === 0 && repair.issues.length === 0) {
+        return { days, changed: false };
+    }
+
+    const backup = backupDataFile(result.source, applied.length > 0 ? `v${fromVersion}` : 'pre-repair');
+    applied.forEach(description => log(`Migrated data file: ${description}`));
+    if (repair.issues.length > 0) {
+        log(`Repaired ${repair.issues.length} data issue(s), backup at ${backup}`);
+    }
+    saveRepairReport({
+        checkedAt: new Date().toISOString(),
+        trigger: 'startup',
+        fromVersion,
+        toVersion: SCHEMA_VERSION,
+        migrations: applied,
+        backup,
+        issues: repair.issues
+    });
+    return { days: repair.days, changed: true };
+}
+
+// "Check Now" in Settings: same repair on the current history
+function checkDataIntegrity() {
+    let report;
+    const result = mutateHistory(allData => {
+        const repair = repairData(allData, settings.workday.startHour);
+        report = {
+            checkedAt: new Date().toISOString(),
+            trigger: 'manual',
+            fromVersion: SCHEMA_VERSION,
+            toVersion: SCHEMA_VERSION,
+            migrations: [],
+            backup: null,
+            issues: repair.issues
+        };
+        if (repair.issues.length === 0) return;
+
+        report.backup = backupDataFile(DATA_FILE, 'pre-repair');
+        replaceDays(allData, repair.days);
+        log(`Repaired ${repair.issues.length} data issue(s), backup at ${report.backup}`);
+    });
+    if (!result.ok) return result;
+
+    saveRepairReport(report);
+    return { ok: true, report: describeRepairReport(report) };
+}
+
+// Report with readable issue labels for the Settings view
+function describeRepairReport(report) {
+    return {
+        ...report,
+        issues: report.issues.map(issue => ({ ...issue, label: ISSUE_LABELS[issue.type] || issue.type }))
+    };
+}
+
+function readRepairReport() {
+    try {
+        if (!fs.existsSync(REPAIR_REPORT_FILE)) return null;
+        return describeRepairReport(JSON.parse(fs.readFileSync(REPAIR_REPORT_FILE, 'utf8')));
+    } catch (e) {
+        log(`Failed to read repair report: ${e.message}`, 'error');
+        return null;
+    }
+}
+
+// How often the running session is written to disk
+const CHECKPOINT_INTERVAL_MS = 60 * 1000;
+let lastCheckpoint = 0;
+
 // Helper to save data
-function saveData() {
+// backup: false for checkpoints and flushes (see writeAllData)
+function saveData({ backup = true } = {}) {
     try {
         let allData = {};
-        if (fs.existsSync(DATA_FILE)) {
-            try {
-                allData = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-            } catch (readErr) {
-                log(`Error reading existing data file, creating new: ${readErr.message}`);
-            }
+        try {
+            allData = readAllData();
+        } catch (readErr) {
+            log(`Error reading existing data file, creating new: ${readErr.message}`);
         }
 
         // Use the tracked date, not necessarily "now" (in case of midnight crossover save)
@@ -95,25 +471,541 @@ function saveData() {
         // Calculate total for summary (purely for JSON readability)
         const totalSecs = trackingData.sessions.reduce((acc, s) => acc + s.duration, 0);
 
+        // Keep any other per-day fields already stored
         allData[dateKey] = {
+            ...allData[dateKey],
             total: totalSecs,
-            sessions: trackingData.sessions
+            sessions: trackingData.sessions,
+            notified: trackingData.notified
         };
 
-        fs.writeFileSync(DATA_FILE, JSON.stringify(allData, null, 2));
+        // Checkpoint of the running session, recovered on the next start after a crash
+        if (trackingData.isTracking && trackingData.currentSessionStart) {
+            allData[dateKey].openSession = {
+                start: new Date(trackingData.currentSessionStart).toISOString(),
+                checkpoint: new Date().toISOString(),
+                ...getProjectFields(trackingData.currentProject),
+                ...toSessionFields(trackingData.currentApps)
+            };
+        } else {
+            delete allData[dateKey].openSession;
+        }
+        lastCheckpoint = Date.now();
+
+        writeAllData(allData, { backup });
     } catch (e) {
-        log(`Failed to save data: ${e.message}`);
+        log(`Failed to save data: ${e.message}`, 'error');
     }
 }
 
-function createTray() {
-    const iconPath = path.join(__dirname, 'icon.png');
-    const icon = nativeImage.createFromPath(iconPath);
-    tray = new Tray(icon);
+// Sum this week's time before today, whether the weekly goal already fired and
+// the share of the week's scheduled hours left after its days off
+function updateWeekBaseline(localData) {
+    const allData = withRemoteDevices(localData);
+    const today = trackingData.currentDate;
+    const weekStart = getWeekStartKey(today);
+    const grouped = groupSessionsByDay(allData, settings.workday.startHour);
+
+    let seconds = 0;
+    Object.keys(grouped).forEach(dateKey => {
+        if (dateKey >= weekStart && dateKey < today) seconds += grouped[dateKey].total;
+    });
+    // The weekday schedule of the time bank says what a full week is
+    const daysOff = getDaysOff(allData);
+    const [y, m, d] = weekStart.split('-').map(Number);
+    let scheduled = 0;
+    let expected = 0;
+    getDateRange(weekStart, getLocalDateStr(new Date(y, m - 1, d + 6))).forEach(dateKey => {
+        scheduled += getScheduledSeconds(settings.timeBank, dateKey);
+        expected += getScheduledSeconds(settings.timeBank, dateKey, daysOff[dateKey]);
+    });
+    const weekFactor = scheduled > 0 ? expected / scheduled : 1;
+    const weeklyNotified = Object.keys(allData).some(dateKey =>
+        dateKey >= weekStart && dateKey < today &&
+        Array.isArray(allData[dateKey].notified) && allData[dateKey].notified.includes('weekly')
+    );
+
+    trackingData.weekBaseline = { seconds, weeklyNotified, weekFactor };
+    trackingData.todayDayOff = daysOff[today] || null;
+    trackingData.previousDayEnd = getPreviousEnd(grouped, today);
+    updateTimeBankBaseline(grouped, daysOff);
+}
+
+function updateTimeBankBaseline(grouped, daysOff) {
+    const [y, m, d] = trackingData.currentDate.split('-').map(Number);
+    const yesterday = getLocalDateStr(new Date(y, m - 1, d - 1));
+    trackingData.timeBankBaseline = computeTimeBank(settings.timeBank, grouped, yesterday, daysOff).balance;
+}
+
+// Balance shown in the main card: { today, balance } or null when disabled
+function getTimeBankInfo(todaySeconds) {
+    if (!settings.timeBank.enabled) return null;
+    const today = trackingData.currentDate >= settings.timeBank.startDate
+        ? todaySeconds - getExpectedSeconds(settings.timeBank, trackingData.currentDate, trackingData.todayDayOff)
+        : 0;
+    return { today, balance: trackingData.timeBankBaseline + today };
+}
+
+// --- Manual Session Editing ---
+
+// Apply a change to the stored history and keep today's in-memory sessions in sync.
+// The mutator may return { error } to abort without writing.
+function mutateHistory(mutator) {
+    try {
+        saveData({ backup: false }); // Flush today's sessions first so the file is the single source of truth
+        const allData = readAllData();
+
+        const result = mutator(allData);
+        if (result && result.error) {
+            return { ok: false, error: result.error };
+        }
+
+        writeAllData(allData);
+
+        const todayData = allData[trackingData.currentDate];
+        trackingData.sessions = todayData && Array.isArray(todayData.sessions) ? todayData.sessions : [];
+        updateWeekBaseline(allData);
+        return { ok: true };
+    } catch (e) {
+        log(`Failed to edit history: ${e.message}`, 'error');
+        return { ok: false, error: e.message };
+    }
+}
+
+// For mutators that rebuild the whole history: swap the contents of allData in place
+function replaceDays(allData, days) {
+    Object.keys(allData).forEach(dateKey => delete allData[dateKey]);
+    Object.assign(allData, days);
+}
 
-    const contextMenu = Menu.buildFromTemplate([
+// Ranges a manual change must not overlap: all stored sessions plus the running one
+function getOccupiedRanges(allData, ignoreStart = null) {
+    const ranges = flattenSessions(allData)
+        .filter(entry => entry.session.start !== ignoreStart)
+        .map(entry => entry.session);
+
+    if (trackingData.isTracking && trackingData.currentSessionStart) {
+        ranges.push({ start: trackingData.currentSessionStart, end: Date.now() });
+    }
+    return ranges;
+}
+
+function checkManualRange(allData, startMs, endMs, ignoreStart = null) {
+    const error = validateSessionRange(startMs, endMs);
+    if (error) return error;
+    if (findOverlap(getOccupiedRanges(allData, ignoreStart), startMs, endMs)) {
+        return 'Overlaps another session';
+    }
+    return null;
+}
+
+function addManualSession({ start, end }) {
+    return mutateHistory(allData => {
+        const startMs = new Date(start).getTime();
+        const endMs = new Date(end).getTime();
+
+        const error = checkManualRange(allData, startMs, endMs);
+        if (error) return { error };
+
+        const session = buildSession(startMs, endMs, { manual: true, editedAt: new Date().toISOString() });
+        insertSession(allData, session, getWorkdayStr(new Date(startMs)));
+        log(`Manual session added: ${session.start} - ${session.end}`);
+    });
+}
+
+function updateSession({ start, newStart, newEnd, project, tags }) {
+    return mutateHistory(allData => {
+        const entry = findSession(allData, start);
+        if (!entry) return { error: 'Session not found' };
+
+        const startMs = new Date(newStart).getTime();
+        const endMs = new Date(newEnd).getTime();
+
+        const error = checkManualRange(allData, startMs, endMs, start);
+        if (error) return { error };
+
+        // Keep any other fields (flags, project...) but replace the times
+        const removed = removeSession(allData, start);
+        const { start: _s, end: _e, duration: _d, apps: _a, titles: _t, ...rest } = removed;
+        // Shortened sessions scale their app breakdown down; time added by hand has no app
+        Object.assign(rest, scaleSessionApps(removed, Math.min(1, (endMs - startMs) / 1000 / (removed.duration || 1))));
+        if (project !== undefined) {
+            if (project) rest.project = project;
+            else delete rest.project;
+        }
+        if (tags !== undefined) {
+            const cleanTags = normalizeTags(tags);
+            if (cleanTags.length > 0) rest.tags = cleanTags;
+            else delete rest.tags;
+        }
+        const session = buildSession(startMs, endMs, { ...rest, edited: true, editedAt: new Date().toISOString() });
+        insertSession(allData, session, getWorkdayStr(new Date(startMs)));
+        log(`Session edited: ${start} -> ${session.start} - ${session.end}`);
+    });
+}
+
+function splitSession({ start, at }) {
+    return mutateHistory(allData => {
+        const entry = findSession(allData, start);
+        if (!entry) return { error: 'Session not found' };
+
+        const startMs = new Date(entry.session.start).getTime();
+        const endMs = new Date(entry.session.end).getTime();
+        const atMs = new Date(at).getTime();
+
+        if (isNaN(atMs) || atMs <= startMs || atMs >= endMs) {
+            return { error: 'Split time must be inside the session' };
+        }
+
+        const removed = removeSession(allData, start);
+        const { start: _s, end: _e, duration: _d, apps: _a, titles: _t, ...rest } = removed;
+        const flags = { ...rest, edited: true, editedAt: new Date().toISOString() };
+        // The app breakdown is shared out in proportion to each part's length
+        const firstShare = (atMs - startMs) / (endMs - startMs);
+        insertSession(allData, buildSession(startMs, atMs, { ...flags, ...scaleSessionApps(removed, firstShare) }), getWorkdayStr(new Date(startMs)));
+        insertSession(allData, buildSession(atMs, endMs, { ...flags, ...scaleSessionApps(removed, 1 - firstShare) }), getWorkdayStr(new Date(atMs)));
+        log(`Session split: ${start} at ${new Date(atMs).toISOString()}`);
+    });
+}
+
+function deleteSession({ start }) {
+    return mutateHistory(allData => {
+        const removed = removeSession(allData, start);
+        if (!removed) return { error: 'Session not found' };
+        log(`Session deleted: ${removed.start} - ${removed.end} (${removed.duration}s)`);
+    });
+}
+
+// --- Days Off ---
+
+function setDayOff(allData, dateKey, dayOff) {
+    allData[dateKey] = { total: 0, sessions: [], ...allData[dateKey], dayOff };
+}
+
+// Mark every day from..to (inclusive) with the same type and note
+function markDaysOff({ from, to, type, note }) {
+    const dayOff = normalizeDayOff({ type, note });
+    if (!dayOff) return { ok: false, error: 'Unknown day off type' };
+    if (!from || (to && to < from)) return { ok: false, error: 'Invalid date range' };
+
+    return mutateHistory(allData => {
+        const dates = getDateRange(from, to || from);
+        dates.forEach(dateKey => setDayOff(allData, dateKey, dayOff));
+        log(`Marked ${dates.length} day(s) as ${type} from ${from}`);
+    });
+}
+
+function clearDayOff({ date }) {
+    return mutateHistory(allData => {
+        const day = allData[date];
+        if (!day || !day.dayOff) return { error: 'Day is not marked' };
+        delete day.dayOff;
+        // Entries created only for the mark go away with it
+        if (date !== trackingData.currentDate && (!Array.isArray(day.sessions) || day.sessions.length === 0)) {
+            delete allData[date];
+        }
+        log(`Day off cleared for ${date}`);
+    });
+}
+
+// Import public holidays from an .ics file; days already marked are kept as they are
+async function importHolidays() {
+    try {
+        const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+            title: 'Import Holidays',
+            filters: [{ name: 'iCalendar', extensions: ['ics'] }],
+            properties: ['openFile']
+        });
+        if (canceled || filePaths.length === 0) return { ok: false, canceled: true };
+
+        const days = parseIcsDays(fs.readFileSync(filePaths[0], 'utf8'));
+        if (days.length === 0) return { ok: false, error: 'No events found in the file' };
+
+        let imported = 0;
+        const result = mutateHistory(allData => {
+            days.forEach(({ date, note }) => {
+                if (allData[date] && allData[date].dayOff) return;
+                setDayOff(allData, date, normalizeDayOff({ type: 'holiday', note }));
+                imported++;
+            });
+            log(`Imported ${imported} holiday(s) from ${filePaths[0]}`);
+        });
+        return result.ok ? { ok: true, imported, skipped: days.length - imported } : result;
+    } catch (e) {
+        log(`Holiday import failed: ${e.message}`, 'error');
+        return { ok: false, error: e.message };
+    }
+}
+
+// --- Export ---
+
+async function exportHistory({ from, to, format }) {
+    try {
+        const formatInfo = FORMATS[format];
+        if (!formatInfo) return { ok: false, error: `Unknown format: ${format}` };
+
+        saveData({ backup: false }); // Make sure today's finished sessions are in the file
+        const days = getDaysInRange(withRemoteDevices(readAllData()), from, to, settings.workday.startHour);
+        if (settings.billing.enabled) {
+            days.forEach(day => {
+                day.billing = applyBillingRules(settings.billing, day.sessions);
+            });
+        }
+        const content = exportDays(format, days, settings.projects, { from, to });
+
+        const rangeName = [from, to].filter(Boolean).join('_to_') || 'all';
+        const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+            title: 'Export History',
+            defaultPath: path.join(app.getPath('documents'), `time-tracker_${rangeName}.${formatInfo.extension}`),
+            filters: [{ name: formatInfo.label, extensions: [formatInfo.extension] }]
+        });
+        if (canceled || !filePath) return { ok: false, canceled: true };
+
+        fs.writeFileSync(filePath, content);
+        log(`Exported ${days.length} days (${format}) to ${filePath}`);
+        return { ok: true, filePath, days: days.length };
+    } catch (e) {
+        log(`Export failed: ${e.message}`, 'error');
+        return { ok: false, error: e.message };
+    }
+}
+
+// Monthly timesheet ('YYYY-MM') saved as PDF, or as the HTML it is printed from
+async function generateTimesheet({ month, name }) {
+    let printWindow = null;
+    try {
+        saveData({ backup: false }); // Make sure today's finished sessions are in the file
+        const allData = withRemoteDevices(readAllData());
+        const html = buildTimesheetHtml({
+            month,
+            grouped: groupSessionsByDay(allData, settings.workday.startHour),
+            daysOff: getDaysOff(allData),
+            timeBank: settings.timeBank,
+            name: typeof name === 'string' ? name.trim() : '',
+            profileName: profiles.profiles.length > 1 ? getActiveProfile().name : null
+        });
+
+        const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+            title: 'Save Timesheet',
+            defaultPath: path.join(app.getPath('documents'), `timesheet_${month}.pdf`),
+            filters: [
+                { name: 'PDF', extensions: ['pdf'] },
+                { name: 'HTML', extensions: ['html'] }
+            ]
+        });
+        if (canceled || !filePath) return { ok: false, canceled: true };
+
+        if (/\.html?$/i.test(filePath)) {
+            fs.writeFileSync(filePath, html);
+        } else {
+            printWindow = new BrowserWindow({ show: false, webPreferences: { javascript: false } });
+            await printWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+            const pdf = await printWindow.webContents.printToPDF({ pageSize: 'A4', printBackground: true });
+            fs.writeFileSync(filePath, pdf);
+        }
+        log(`Saved timesheet for ${month} to ${filePath}`);
+        return { ok: true, filePath };
+    } catch (e) {
+        log(`Timesheet failed: ${e.message}`, 'error');
+        return { ok: false, error: e.message };
+    } finally {
+        if (printWindow && !printWindow.isDestroyed()) printWindow.destroy();
+    }
+}
+
+// --- History Queries ---
+
+// Per-date values of map for the given dates only
+function pickDates(map, dates) {
+    const picked = {};
+    dates.forEach(date => {
+        if (map[date]) picked[date] = map[date];
+    });
+    return picked;
+}
+
+// One page of the History (see history.queryDays) with what its footers need:
+// timeBank { [dateKey]: { balance, cumulative } } (not while searching, it covers
+// whole days), billing { [dateKey]: applyBillingRules() result plus bySession,
+// see rounding.getBilledBySession } for the sessions shown, compliance { [dateKey]: violations }; each null when disabled.
+// months lists every month with data for the month navigator.
+function queryHistory(options = {}) {
+    try {
+        const allData = withRemoteDevices(readAllData());
+        const grouped = groupSessionsByDay(allData, settings.workday.startHour);
+        const daysOff = getDaysOff(allData);
+        const page = queryDays(grouped, daysOff, options, {
+            getProjectName,
+            getDayOffLabel: type => (DAY_OFF_TYPES[type] ? DAY_OFF_TYPES[type].label : type)
+        });
+        const dates = page.days.map(day => day.date);
+        const searching = typeof options.search === 'string' && options.search.trim().length > 0;
+
+        page.timeBank = null;
+        if (settings.timeBank.enabled && !searching) {
+            page.timeBank = pickDates(computeTimeBank(settings.timeBank, grouped, trackingData.currentDate, daysOff).days, dates);
+        }
+        page.billing = null;
+        if (settings.billing.enabled) {
+            page.billing = {};
+            page.days.forEach(day => {
+                const result = applyBillingRules(settings.billing, day.sessions);
+                page.billing[day.date] = { ...result, bySession: getBilledBySession(result, day.sessions) };
+            });
+        }
+        page.compliance = settings.compliance.enabled ? pickDates(checkHistory(settings.compliance, grouped), dates) : null;
+        page.months = getMonthIndex(grouped, daysOff);
+        return { ok: true, ...page };
+    } catch (e) {
+        log(`Failed to query history: ${e.message}`, 'error');
+        return { ok: false, error: e.message };
+    }
+}
+
+// --- Diagnostics ---
+
+// What Settings > Diagnostics shows, also saved in the bundle
+function getDiagnostics() {
+    return {
+        generatedAt: new Date().toISOString(),
+        version: app.getVersion(),
+        electron: process.versions.electron,
+        platform: `${process.platform} ${process.arch}`,
+        providers: {
+            name: providers.name,
+            idle: providers.idle.name,
+            processes: providers.processes.name,
+            foreground: providers.foreground.name
+        },
+        logFile: LOG_FILE,
+        logLevel: logger.getLevel(),
+        profile: getActiveProfile().name,
+        status: trackingData.status,
+        pendingWebhooks: webhookDispatcher ? webhookDispatcher.getPendingCount() : 0,
+        ticks: diagnostics.getTicks(),
+        errors: diagnostics.getErrors()
+    };
+}
+
+// Zip with the diagnostics, the settings (without secrets) and the logs, for bug reports
+async function exportDiagnostics() {
+    try {
+        const stamp = getLocalDateStr(new Date());
+        const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+            title: 'Export Diagnostics',
+            defaultPath: path.join(app.getPath('documents'), `time-tracker-diagnostics_${stamp}.zip`),
+            filters: [{ name: 'Zip', extensions: ['zip'] }]
+        });
+        if (canceled || !filePath) return { ok: false, canceled: true };
+
+        fs.writeFileSync(filePath, buildBundle({
+            snapshot: getDiagnostics(),
+            settings,
+            logFiles: logger.getFiles()
+        }));
+        log(`Saved diagnostics bundle to ${filePath}`);
+        return { ok: true, filePath };
+    } catch (e) {
+        log(`Diagnostics export failed: ${e.message}`, 'error');
+        return { ok: false, error: e.message };
+    }
+}
+
+// Today's total as shown in the tray, e.g. "3h 10min"
+function formatTrayDuration(totalSeconds) {
+    const totalMins = Math.floor(totalSeconds / 60);
+    return `${Math.floor(totalMins / 60)}h ${String(totalMins % 60).padStart(2, '0')}min`;
+}
+
+const TRAY_RECENT_SESSIONS = 5;
+
+// Last sessions of today, newest first, the running one included
+function getRecentSessionItems() {
+    const sessions = trackingData.sessions.map(session => ({
+        start: new Date(session.start).getTime(),
+        end: new Date(session.end).getTime(),
+        project: session.project
+    }));
+    if (trackingData.isTracking && trackingData.currentSessionStart) {
+        sessions.push({ start: trackingData.currentSessionStart, end: null, project: trackingData.currentProject });
+    }
+
+    return sessions
+        .sort((a, b) => b.start - a.start)
+        .slice(0, TRAY_RECENT_SESSIONS)
+        .map(session => {
+            const project = getProject(session.project);
+            const end = session.end ? formatClock(session.end) : 'now';
+            const duration = formatTrayDuration(((session.end || Date.now()) - session.start) / 1000);
+            return {
+                label: `${formatClock(session.start)} - ${end}  (${duration})${project ? `  ${project.name}` : ''}`,
+                enabled: false
+            };
+        });
+}
+
+function showHistory() {
+    mainWindow.show();
+    mainWindow.webContents.send('open-history');
+}
+
+function buildTrayMenu() {
+    const projectItems = [
+        {
+            label: 'No project',
+            type: 'radio',
+            checked: !settings.activeProjectId,
+            click: () => setActiveProject(null)
+        },
+        ...settings.projects.map(project => ({
+            label: project.name,
+            type: 'radio',
+            checked: settings.activeProjectId === project.id,
+            click: () => setActiveProject(project.id)
+        }))
+    ];
+
+    const durationItems = (mode) => [
+        { label: 'Until resumed', click: () => setOverride(mode) },
+        { label: '15 minutes', click: () => setOverride(mode, 15) },
+        { label: '30 minutes', click: () => setOverride(mode, 30) },
+        { label: '1 hour', click: () => setOverride(mode, 60) },
+        { label: '2 hours', click: () => setOverride(mode, 120) }
+    ];
+
+    const profileItems = profiles.profiles.map(profile => ({
+        label: profile.name,
+        type: 'radio',
+        checked: profile.id === profiles.activeId,
+        click: () => switchProfile(profile.id)
+    }));
+
+    const status = trackingData.lastStatus;
+    const recentItems = getRecentSessionItems();
+
+    return Menu.buildFromTemplate([
+        { label: `Today: ${formatTrayDuration(status ? status.totalSeconds : 0)}`, enabled: false },
+        { label: trackingData.status, enabled: false },
+        { type: 'separator' },
+        { label: 'Recent Sessions', enabled: false },
+        ...(recentItems.length > 0 ? recentItems : [{ label: 'No sessions yet today', enabled: false }]),
+        { type: 'separator' },
         { label: 'Show App', click: () => mainWindow.show() },
+        { label: 'Open History', click: showHistory },
+        { label: 'Active Project', submenu: projectItems },
+        ...(profileItems.length > 1 ? [{ label: 'Profile', submenu: profileItems }] : []),
+        { type: 'separator' },
+        trackingData.override
+            ? { label: 'Resume Automatic Tracking', click: () => setOverride(null) }
+            : { label: 'Pause', submenu: durationItems('pause') },
+        { label: 'Force Tracking', submenu: durationItems('force') },
         { type: 'separator' },
+        {
+            label: 'Launch at Startup',
+            type: 'checkbox',
+            checked: app.getLoginItemSettings().openAtLogin,
+            click: (item) => setStartup(item.checked)
+        },
         {
             label: 'Quit', click: () => {
                 isQuitting = true;
@@ -121,9 +1013,54 @@ function createTray() {
             }
         }
     ]);
+}
+
+// Rebuilding the menu closes it if open, so only do it when something shown in it changed.
+// Native menus don't pick up label changes, so the "Today" total rebuilds it once a minute.
+let trayMenuKey = null;
+
+function refreshTrayMenu(force = true) {
+    if (!tray || tray.isDestroyed()) return;
+
+    const status = trackingData.lastStatus;
+    const key = JSON.stringify([
+        status ? Math.floor(status.totalSeconds / 60) : 0,
+        trackingData.status,
+        trackingData.sessions.length,
+        trackingData.currentSessionStart,
+        trackingData.override,
+        settings.activeProjectId,
+        settings.projects.length,
+        profiles
+    ]);
+    if (!force && key === trayMenuKey) return;
+
+    trayMenuKey = key;
+    tray.setContextMenu(buildTrayMenu());
+}
+
+let trayIcons = null;
+let trayIconState = null;
+
+// Tooltip, status icon and menu, called on every tick
+function updateTray() {
+    if (!tray || tray.isDestroyed() || !trackingData.lastStatus) return;
+
+    const state = trackingData.state;
+    if (state !== trayIconState) {
+        tray.setImage(trayIcons[state] || trayIcons.default);
+        trayIconState = state;
+    }
+    tray.setToolTip(`Time Tracker - ${formatTrayDuration(trackingData.lastStatus.totalSeconds)} today\n${trackingData.status}`);
+    refreshTrayMenu(false);
+}
+
+function createTray() {
+    trayIcons = createTrayIcons(nativeImage, path.join(__dirname, 'icon.png'));
+    tray = new Tray(trayIcons.default);
 
     tray.setToolTip('Time Tracker');
-    tray.setContextMenu(contextMenu);
+    refreshTrayMenu();
 
     tray.on('double-click', () => mainWindow.show());
 }
@@ -157,64 +1094,296 @@ function createWindow() {
 
 // --- Tracking Logic ---
 
-// Check if Chrome is running
-function isChromeRunning() {
-    return new Promise((resolve) => {
-        exec('tasklist /FI "IMAGENAME eq chrome.exe" /FO CSV /NH', (err, stdout) => {
-            if (err) {
-                resolve(false);
-                return;
-            }
-            resolve(stdout.toLowerCase().includes('chrome.exe'));
-        });
-    });
+// Idle and process detection (Windows, Linux or fake), chosen for this platform
+const providers = selectProviders({ log });
+log(`Using ${providers.name} providers (idle: ${providers.idle.name}, processes: ${providers.processes.name}, foreground: ${providers.foreground.name})`);
+
+function getRunningProcesses() {
+    return providers.processes.listProcesses();
+}
+
+function getIdleTime() {
+    return providers.idle.getIdleTime();
 }
 
-// Fallback Idle Check using PowerShell
-function getIdleTimePs() {
-    return new Promise((resolve) => {
-        let psPath = path.join(__dirname, 'idle.ps1');
+// --- Per-App Breakdown ---
+
+const FOREGROUND_SAMPLE_MS = 5000;
+let foregroundErrorLogged = false;
 
-        // Fix for ASAR: If running in asar, the script is in app.asar.unpacked
-        if (psPath.includes('app.asar')) {
-            psPath = psPath.replace('app.asar', 'app.asar.unpacked');
+// Credit the time since the previous sample to the app in front now
+async function sampleForeground() {
+    const now = Date.now();
+    if (now - trackingData.lastForegroundSample < FOREGROUND_SAMPLE_MS) return;
+    const seconds = (now - trackingData.lastForegroundSample) / 1000;
+    trackingData.lastForegroundSample = now;
+
+    let foreground = null;
+    try {
+        foreground = await providers.foreground.getForeground();
+    } catch (e) {
+        if (!foregroundErrorLogged) {
+            log(`Foreground window detection failed: ${e.message}`, 'warn');
+            foregroundErrorLogged = true;
         }
+    }
+    if (!foreground) return;
 
-        exec(`powershell -ExecutionPolicy Bypass -File "${psPath}"`, (err, stdout, stderr) => {
-            if (err) {
-                log(`PS Error: ${err.message}`);
-                resolve(0);
-                return;
-            }
-            const output = stdout.trim();
-            const millis = parseInt(output);
-            resolve(isNaN(millis) ? 0 : millis / 1000);
-        });
+    const appName = resolveAppName(settings.appTracking, foreground.app);
+    if (appName) {
+        addSample(trackingData.currentApps, appName, settings.appTracking.hideTitles ? '' : foreground.title, seconds);
+    }
+}
+
+// --- Session Lifecycle ---
+
+function getProject(id) {
+    return settings.projects.find(p => p.id === id) || null;
+}
+
+function getProjectName(id) {
+    const project = getProject(id);
+    return project ? project.name : null;
+}
+
+// Fields stamped on a session for the given project: { project, tags }
+function getProjectFields(projectId) {
+    const fields = {};
+    const project = getProject(projectId);
+    if (project) {
+        fields.project = project.id;
+        if (project.tags.length > 0) fields.tags = project.tags.slice();
+    }
+    return fields;
+}
+
+function startSession(startMs = Date.now()) {
+    trackingData.currentSessionStart = startMs;
+    trackingData.currentProject = settings.activeProjectId;
+    trackingData.currentSessionForced = isForced();
+    trackingData.currentApps = createBreakdown();
+    trackingData.lastForegroundSample = startMs;
+    emitWebhook('session.started', {
+        start: new Date(startMs).toISOString(),
+        project: getProjectName(trackingData.currentProject)
     });
 }
 
-// Check idle time using desktop-idle with fallback
-let useFallback = false;
-let desktopIdle;
+// Add a finished session to today's sessions (caller saves). Every stored
+// session goes through here: the tracking loop, project switches, idle prompt.
+function commitSession(session) {
+    trackingData.sessions.push(session);
+    trackingData.sessions.sort((a, b) => new Date(a.start) - new Date(b.start));
+}
 
-try {
-    desktopIdle = require('desktop-idle');
-} catch (e) {
-    console.warn('desktop-idle not found, switching to PowerShell fallback.');
-    useFallback = true;
+// Close the running session and commit it (caller saves).
+// Returns the duration in seconds; sessions under 1 second are dropped.
+function commitCurrentSession(endMs = Date.now()) {
+    if (!trackingData.currentSessionStart) return 0;
+
+    const duration = Math.floor((endMs - trackingData.currentSessionStart) / 1000);
+    if (duration > 0) {
+        const fields = { ...getProjectFields(trackingData.currentProject), ...toSessionFields(trackingData.currentApps) };
+        if (trackingData.currentSessionForced) fields.forced = true;
+        commitSession(buildSession(trackingData.currentSessionStart, endMs, fields));
+    }
+    emitWebhook('session.ended', {
+        start: new Date(trackingData.currentSessionStart).toISOString(),
+        end: new Date(endMs).toISOString(),
+        duration: Math.max(0, duration),
+        project: getProjectName(trackingData.currentProject)
+    });
+    trackingData.currentSessionStart = null;
+    return duration;
+}
+
+// --- Manual Pause / Force Tracking ---
+
+// Current override, dropping it once its time is up
+function getOverride() {
+    const override = trackingData.override;
+    if (override && override.until && Date.now() >= override.until) {
+        log(`Manual ${override.mode} expired`);
+        trackingData.override = null;
+        refreshTrayMenu();
+    }
+    return trackingData.override;
+}
+
+function isForced() {
+    const override = getOverride();
+    return !!override && override.mode === 'force';
 }
 
-async function getIdleTime() {
-    if (useFallback) {
-        return await getIdleTimePs();
+// mode: 'pause' | 'force' | null (back to automatic); minutes: optional duration
+function setOverride(mode, minutes = null) {
+    if (mode !== 'pause' && mode !== 'force') {
+        trackingData.override = null;
+        log('Manual override cleared, automatic tracking');
     } else {
-        try {
-            return desktopIdle.getIdleTime();
-        } catch (e) {
-            console.error('desktop-idle runtime error, switching to fallback:', e);
-            useFallback = true;
-            return await getIdleTimePs();
+        const until = minutes > 0 ? Date.now() + minutes * 60 * 1000 : null;
+        trackingData.override = { mode, until };
+        // A manual pause is not idle time to offer back
+        trackingData.idleSince = null;
+        log(`Manual ${mode}${until ? ` for ${minutes} min` : ' until resumed'}`);
+    }
+    refreshTrayMenu();
+    checkActivity(); // Apply right away instead of waiting for the next tick
+    return getOverrideInfo();
+}
+
+function getOverrideInfo() {
+    const override = getOverride();
+    return override ? { mode: override.mode, until: override.until } : null;
+}
+
+function formatClock(ms) {
+    return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// --- Idle Gap Prompt ---
+
+let idlePromptWindow = null;
+
+function showIdlePrompt() {
+    if (idlePromptWindow && !idlePromptWindow.isDestroyed()) {
+        idlePromptWindow.reload(); // Show the newest gap
+        return;
+    }
+
+    idlePromptWindow = new BrowserWindow({
+        width: 360,
+        height: 330,
+        resizable: false,
+        minimizable: false,
+        alwaysOnTop: true,
+        show: false,
+        webPreferences: {
+            preload: path.join(__dirname, 'preload.js'),
+            nodeIntegration: false,
+            contextIsolation: true
+        },
+        autoHideMenuBar: true,
+        backgroundColor: '#0f172a',
+        icon: path.join(__dirname, 'icon.png'),
+        title: 'You were idle'
+    });
+    idlePromptWindow.loadFile(path.join(__dirname, 'idle-prompt.html'));
+    // Don't steal focus from whatever the user just went back to
+    idlePromptWindow.once('ready-to-show', () => idlePromptWindow.showInactive());
+    idlePromptWindow.on('closed', () => {
+        idlePromptWindow = null;
+        // Closing the window without choosing keeps the old behaviour: the gap is dropped
+        if (trackingData.pendingIdleGap) resolveIdleGap({ choice: 'discard' });
+    });
+}
+
+// Activity resumed: offer the gap since the last idle stop if it is long enough
+function checkIdleGap(resumeMs) {
+    const idleSince = trackingData.idleSince;
+    trackingData.idleSince = null;
+    if (!idleSince || !settings.idlePrompt.enabled) return;
+
+    if (resumeMs - idleSince < settings.idlePrompt.minGapMinutes * 60 * 1000) return;
+
+    if (trackingData.pendingIdleGap) {
+        log('New idle gap replaces the one still waiting for a decision (discarded)');
+    }
+    trackingData.pendingIdleGap = {
+        start: idleSince,
+        end: resumeMs,
+        previousStart: trackingData.previousSessionStart
+    };
+    log(`Idle gap of ${Math.round((resumeMs - idleSince) / 60000)} min, asking what to do`);
+    showIdlePrompt();
+}
+
+// choice: 'discard' | 'previous' (extend the session before the gap) | 'separate' (own session, optional tag)
+function resolveIdleGap({ choice, tag }) {
+    const gap = trackingData.pendingIdleGap;
+    if (!gap) return { ok: false, error: 'No idle gap waiting for a decision' };
+    trackingData.pendingIdleGap = null;
+
+    const minutes = Math.round((gap.end - gap.start) / 60000);
+
+    if (choice === 'previous') {
+        const index = trackingData.sessions.findIndex(s => s.start === gap.previousStart);
+        if (index === -1) {
+            log('Idle gap: previous session not found (edited or from another day), gap discarded');
+            return { ok: false, error: 'The previous session is no longer available' };
         }
+        const [previous] = trackingData.sessions.splice(index, 1);
+        const { start, end: _e, duration: _d, ...rest } = previous;
+        commitSession(buildSession(new Date(start).getTime(), gap.end, { ...rest, idleKept: true }));
+        saveData();
+        log(`Idle gap (${minutes} min) added to previous session`);
+    } else if (choice === 'separate') {
+        if (findOverlap(trackingData.sessions, gap.start, gap.end)) {
+            log('Idle gap overlaps a session added meanwhile, discarded');
+            return { ok: false, error: 'The gap overlaps another session' };
+        }
+        const fields = { ...getProjectFields(settings.activeProjectId), idleGap: true };
+        const cleanTag = typeof tag === 'string' ? tag.trim() : '';
+        if (cleanTag) fields.tags = normalizeTags([...(fields.tags || []), cleanTag]);
+        commitSession(buildSession(gap.start, gap.end, fields));
+        saveData();
+        log(`Idle gap (${minutes} min) logged as separate session${cleanTag ? ` [${cleanTag}]` : ''}`);
+    } else {
+        log(`Idle gap (${minutes} min) discarded`);
+    }
+
+    if (idlePromptWindow && !idlePromptWindow.isDestroyed()) {
+        idlePromptWindow.close();
+    }
+    return { ok: true };
+}
+
+// Switching project mid-session closes the running session and starts a new one
+function setActiveProject(projectId) {
+    applySettings({ activeProjectId: projectId });
+}
+
+async function onActiveProjectChanged() {
+    const project = getProject(settings.activeProjectId);
+    log(`Active project: ${project ? project.name : 'none'}`);
+
+    await waitForCheck();
+    isChecking = true; // A tick must not touch the session while it is split
+    try {
+        if (trackingData.isTracking && trackingData.currentSessionStart) {
+            const duration = commitCurrentSession();
+            saveData();
+            startSession();
+            log(`Project switch: closed session (${duration}s) and started a new one`);
+        }
+    } finally {
+        isChecking = false;
+    }
+}
+
+// The day boundary moved: close the running session, re-file the history under
+// the new boundary and switch to the workday "now" belongs to
+async function onWorkdayChanged() {
+    await waitForCheck();
+    isChecking = true; // Keep a tick's rollover from running against the old boundary
+    try {
+        const wasTracking = trackingData.isTracking && trackingData.currentSessionStart;
+        if (wasTracking) commitCurrentSession();
+
+        const result = mutateHistory(allData => {
+            const { days, moved } = refileSessions(allData, settings.workday.startHour);
+            replaceDays(allData, days);
+            log(`Day now starts at ${settings.workday.startHour}:00, ${moved.length} session(s) moved`);
+
+            trackingData.currentDate = getWorkdayStr();
+            const todayData = allData[trackingData.currentDate];
+            trackingData.notified = todayData && Array.isArray(todayData.notified) ? todayData.notified : [];
+        });
+        if (!result.ok) log(`Failed to regroup history: ${result.error}`, 'error');
+
+        if (wasTracking) startSession();
+    } finally {
+        isChecking = false;
     }
 }
 
@@ -225,26 +1394,18 @@ async function checkActivity() {
     if (isChecking) return;
     isChecking = true;
 
+    const tickStart = Date.now();
     try {
-        // 1. Check for Date Rollover (Midnight)
-        const todayStr = getLocalDateStr();
+        // 1. Check for Date Rollover (midnight, or the configured day start)
+        const todayStr = getWorkdayStr();
 
         if (todayStr !== trackingData.currentDate) {
-            log(`Midnight Rollover Triggered: ${trackingData.currentDate} -> ${todayStr}`);
+            log(`Day Rollover Triggered: ${trackingData.currentDate} -> ${todayStr}`);
 
             // Force save current state to OLD date
             // If currently tracking, split the session
             if (trackingData.isTracking && trackingData.currentSessionStart) {
-                const currentSessionEnd = Date.now();
-                const duration = Math.floor((currentSessionEnd - trackingData.currentSessionStart) / 1000);
-
-                if (duration > 0) {
-                    trackingData.sessions.push({
-                        start: new Date(trackingData.currentSessionStart).toISOString(),
-                        end: new Date(currentSessionEnd).toISOString(),
-                        duration: duration
-                    });
-                }
+                const duration = commitCurrentSession();
                 saveData(); // Save to OLD date
                 log(`Saved split session to ${trackingData.currentDate}. Duration: ${duration}s`);
             } else {
@@ -252,34 +1413,70 @@ async function checkActivity() {
                 log(`Saved final state for ${trackingData.currentDate}.`);
             }
 
+            emitWebhook('day.rollover', {
+                from: trackingData.currentDate,
+                to: todayStr,
+                totalSeconds: trackingData.sessions.reduce((acc, s) => acc + s.duration, 0)
+            });
+
             // --- CRITICAL RESET ---
             trackingData.sessions = [];
             trackingData.currentDate = todayStr;
-            trackingData.notificationsSent = { h6: false, h8: false, h10: false };
+            trackingData.notified = [];
+            try {
+                updateWeekBaseline(readAllData());
+            } catch (e) {
+                log(`Failed to compute weekly total: ${e.message}`, 'error');
+            }
 
             // If we were tracking, restart the "current session" for the new day
             if (trackingData.isTracking) {
-                trackingData.currentSessionStart = Date.now();
+                startSession();
                 log(`Auto-started new session for ${todayStr}.`);
             }
+
+            // Idle gaps are only offered within a day
+            trackingData.idleSince = null;
+            trackingData.previousSessionStart = null;
             // ----------------------
         }
 
-        const chromeOpen = await isChromeRunning();
+        const runningProcesses = await getRunningProcesses();
         const idleSeconds = await getIdleTime();
 
-        // Logic: Working if Chrome is Open AND Idle < 120 seconds
-        const isWorking = chromeOpen && (idleSeconds < 120);
+        // Logic: Working if the configured work apps are open AND idle below threshold
+        const rulesResult = evaluateRules(settings.rules, runningProcesses, idleSeconds);
+        const { appsOk } = rulesResult;
+
+        // Manual pause / force tracking override the automatic decision
+        const override = getOverride();
+        const isWorking = override ? override.mode === 'force' : rulesResult.isWorking;
+
+        // Switching between forced and automatic tracking starts a new session, so forced time stays marked
+        if (isWorking && trackingData.isTracking && trackingData.currentSessionStart &&
+            trackingData.currentSessionForced !== isForced()) {
+            const duration = commitCurrentSession();
+            saveData();
+            startSession();
+            log(`Tracking mode changed (${isForced() ? 'forced' : 'automatic'}), closed session (${duration}s)`);
+        }
 
         if (isWorking) {
             // State transition: Not Tracking -> Tracking
             if (!trackingData.isTracking) {
                 trackingData.isTracking = true;
-                trackingData.currentSessionStart = Date.now();
+                startSession();
                 log('Started tracking session (Active)');
+                checkIdleGap(trackingData.currentSessionStart);
             }
 
-            trackingData.status = 'Tracking (Working)';
+            if (override) {
+                trackingData.status = override.until ? `Tracking (Forced until ${formatClock(override.until)})` : 'Tracking (Forced)';
+                trackingData.state = 'forced';
+            } else {
+                trackingData.status = 'Tracking (Working)';
+                trackingData.state = 'tracking';
+            }
             trackingData.lastActiveTime = Date.now();
 
         } else {
@@ -289,40 +1486,71 @@ async function checkActivity() {
 
                 // Commit session
                 if (trackingData.currentSessionStart) {
-                    const nowTimestamp = Date.now();
-                    const duration = Math.floor((nowTimestamp - trackingData.currentSessionStart) / 1000);
-
-                    // Only save meaningful sessions (> 1 second)
+                    const sessionStart = trackingData.currentSessionStart;
+                    const duration = commitCurrentSession();
                     if (duration > 0) {
-                        trackingData.sessions.push({
-                            start: new Date(trackingData.currentSessionStart).toISOString(),
-                            end: new Date(nowTimestamp).toISOString(),
-                            duration: duration
-                        });
                         saveData(); // Save immediately on pause
+
+                        // Remember idle stops so the gap can be offered back when activity resumes
+                        if (appsOk && !override) {
+                            trackingData.idleSince = Date.now();
+                            trackingData.previousSessionStart = new Date(sessionStart).toISOString();
+                        }
                     }
-                    trackingData.currentSessionStart = null;
                     log(`Ended session. Duration: ${duration}s`);
                 }
             }
 
-            if (!chromeOpen) {
-                trackingData.status = 'Paused (Chrome Closed)';
+            if (override) {
+                trackingData.status = override.until ? `Paused (Manual until ${formatClock(override.until)})` : 'Paused (Manual)';
+                trackingData.state = 'manual-pause';
+            } else if (!appsOk) {
+                trackingData.status = 'Paused (Work Apps Closed)';
+                trackingData.state = 'apps-closed';
+                trackingData.idleSince = null; // Closing the work apps is not an idle gap
             } else {
                 trackingData.status = 'Paused (Idle)';
+                trackingData.state = 'idle';
             }
         }
 
+        diagnostics.addTick({
+            at: tickStart,
+            durationMs: Date.now() - tickStart,
+            idleProvider: providers.idle.name,
+            idleSeconds: Math.round(idleSeconds),
+            processCount: runningProcesses.length,
+            matched: rulesResult.matched,
+            appsOk,
+            isIdle: rulesResult.isIdle,
+            override: override ? override.mode : null,
+            state: trackingData.state
+        });
+        log(`Tick: idle ${Math.round(idleSeconds)}s (${providers.idle.name}), ${runningProcesses.length} processes, ` +
+            `matched [${rulesResult.matched.join(', ')}] -> ${trackingData.state}`, 'debug');
+
+        if (trackingData.isTracking && settings.appTracking.enabled) {
+            await sampleForeground();
+        }
+
+        if (settings.sync.enabled && Date.now() - lastSyncRefresh >= SYNC_REFRESH_MS) {
+            refreshRemoteDevices();
+        }
+
+        // Periodic checkpoint so a crash loses at most a minute of the running session
+        if (trackingData.isTracking && Date.now() - lastCheckpoint >= CHECKPOINT_INTERVAL_MS) {
+            saveData({ backup: false });
+        }
+
         // Update Last Active Display
-        let displayLastActive = isWorking ? Date.now() : (Date.now() - (idleSeconds * 1000));
+        let displayLastActive = rulesResult.isWorking ? Date.now() : (Date.now() - (idleSeconds * 1000));
         trackingData.lastActiveTime = displayLastActive;
 
 
         // Calculate Total Seconds for Display
-        // Robust logic: Count only the seconds that overlap with "Today" (Local Time)
+        // Robust logic: Count only the seconds that overlap with "Today" (Local Time, from the day start hour)
         const now = new Date();
-        const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate()); // 00:00:00 Local
-        const endOfDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000); // 00:00:00 Next Day
+        const { start: startOfDay, end: endOfDay } = getWorkdayBounds(todayStr, settings.workday.startHour);
 
         let totalSecondsCalculated = 0;
 
@@ -353,42 +1581,262 @@ async function checkActivity() {
             }
         }
 
-        // Check Notifications (6h=21600, 8h=28800, 10h=36000)
-        if (!trackingData.notificationsSent.h6 && totalSecondsCalculated >= 21600) {
-            new Notification({ title: 'Time Tracker', body: 'You have worked 6 hours today!' }).show();
-            trackingData.notificationsSent.h6 = true;
-            log('Sent 6h notification');
+        // Time tracked on other devices (synced) that this device didn't also track
+        if (remoteDevices.length > 0) {
+            const localRanges = trackingData.sessions.map(session => ({
+                start: new Date(session.start).getTime(),
+                end: new Date(session.end).getTime()
+            }));
+            if (trackingData.isTracking && trackingData.currentSessionStart) {
+                localRanges.push({ start: trackingData.currentSessionStart, end: now.getTime() });
+            }
+            const yesterdayKey = getWorkdayStr(new Date(startOfDay.getTime() - 12 * 60 * 60 * 1000));
+            totalSecondsCalculated += extraSeconds(localRanges, getRemoteRanges(todayStr, yesterdayKey),
+                startOfDay.getTime(), endOfDay.getTime());
         }
-        if (!trackingData.notificationsSent.h8 && totalSecondsCalculated >= 28800) {
-            new Notification({ title: 'Time Tracker', body: 'You have worked 8 hours today!' }).show();
-            trackingData.notificationsSent.h8 = true;
-            log('Sent 8h notification');
+
+        // Check goal notifications
+        const dueGoals = evaluateGoals(settings.goals, {
+            todaySeconds: totalSecondsCalculated,
+            weekSeconds: trackingData.weekBaseline.seconds + totalSecondsCalculated,
+            sessionsCount: trackingData.sessions.length + (trackingData.isTracking ? 1 : 0),
+            notified: trackingData.notified,
+            weeklyNotified: trackingData.weekBaseline.weeklyNotified,
+            now,
+            dayFactor: getExpectedFactor(trackingData.todayDayOff),
+            weekFactor: trackingData.weekBaseline.weekFactor
+        });
+        if (dueGoals.length > 0) {
+            dueGoals.forEach(goal => {
+                new Notification({ title: 'Time Tracker', body: goal.body }).show();
+                trackingData.notified.push(goal.key);
+                log(`Sent goal notification: ${goal.key}`);
+                emitWebhook('goal.reached', { key: goal.key, message: goal.body, todaySeconds: totalSecondsCalculated });
+            });
+            saveData({ backup: false }); // Persist so a restart doesn't fire them again
         }
-        if (!trackingData.notificationsSent.h10 && totalSecondsCalculated >= 36000) {
-            new Notification({ title: 'Time Tracker', body: 'You have worked 10 hours today!' }).show();
-            trackingData.notificationsSent.h10 = true;
-            log('Sent 10h notification');
+
+        // Break compliance: each violation (and the heads-up before one) is notified once a day
+        if (settings.compliance.enabled) {
+            const todayRanges = trackingData.sessions.slice();
+            if (trackingData.isTracking && trackingData.currentSessionStart) {
+                todayRanges.push({ start: trackingData.currentSessionStart, end: now.getTime() });
+            }
+            const warnings = findViolations(settings.compliance, todayRanges, trackingData.previousDayEnd);
+            const breakWarning = trackingData.isTracking ? getBreakWarning(settings.compliance, todayRanges) : null;
+            if (breakWarning) warnings.push(breakWarning);
+
+            const dueWarnings = warnings.filter(warning => !trackingData.notified.includes(warning.key));
+            if (dueWarnings.length > 0) {
+                dueWarnings.forEach(warning => {
+                    new Notification({ title: 'Time Tracker', body: warning.message }).show();
+                    trackingData.notified.push(warning.key);
+                    log(`Sent compliance notification: ${warning.key}`);
+                });
+                saveData({ backup: false });
+            }
         }
 
         // Update UI
+        const displayProject = getProject(trackingData.isTracking ? trackingData.currentProject : settings.activeProjectId);
+        trackingData.lastStatus = {
+            totalSeconds: totalSecondsCalculated,
+            status: trackingData.status,
+            state: trackingData.state,
+            override: getOverrideInfo(),
+            isTracking: trackingData.isTracking,
+            lastActiveTime: trackingData.lastActiveTime,
+            projectName: displayProject ? displayProject.name : null,
+            profileName: profiles.profiles.length > 1 ? getActiveProfile().name : null,
+            timeBank: getTimeBankInfo(totalSecondsCalculated),
+            currentDate: trackingData.currentDate,
+            version: app.getVersion()
+        };
         if (mainWindow && !mainWindow.isDestroyed()) {
-            mainWindow.webContents.send('update-time', {
-                totalSeconds: totalSecondsCalculated,
-                status: trackingData.status,
-                isTracking: trackingData.isTracking,
-                lastActiveTime: trackingData.lastActiveTime,
-                currentDate: trackingData.currentDate,
-                version: app.getVersion()
-            });
+            mainWindow.webContents.send('update-time', trackingData.lastStatus);
         }
+        updateTray();
 
     } catch (err) {
-        log(`CRITICAL ERROR in checkActivity: ${err.message}\n${err.stack}`);
+        log(`CRITICAL ERROR in checkActivity: ${err.message}\n${err.stack}`, 'error');
     } finally {
         isChecking = false;
     }
 }
 
+// --- Profile Switching ---
+
+function waitForCheck() {
+    return new Promise(resolve => {
+        const poll = () => (isChecking ? setTimeout(poll, 50) : resolve());
+        poll();
+    });
+}
+
+function notifyProfilesChanged() {
+    refreshTrayMenu();
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('profiles-updated', profiles);
+    }
+}
+
+// Close the running session in the current profile, then load the other profile's
+// settings and data as if the app had just started with it
+async function switchProfile(profileId) {
+    if (profileId === profiles.activeId) return { ok: true };
+    if (!profiles.profiles.some(p => p.id === profileId)) return { ok: false, error: 'Unknown profile' };
+
+    await waitForCheck();
+    isChecking = true; // Keep the tracking loop out while the state is swapped
+    try {
+        if (trackingData.isTracking && trackingData.currentSessionStart) {
+            const duration = commitCurrentSession();
+            log(`Profile switch: closed session (${duration}s)`);
+        }
+        saveData();
+
+        profiles = saveProfiles(PROFILES_FILE, { ...profiles, activeId: profileId });
+        useProfileFiles();
+        trackingData = createTrackingData();
+        loadAppSettings();
+        loadData();
+        remoteDevices = [];
+        refreshRemoteDevices();
+        updateApiServer();
+        await startWebhooks(); // Still under the lock, so no tick emits to the old queue meanwhile
+        log(`Switched to profile "${getActiveProfile().name}"`);
+    } catch (e) {
+        log(`Failed to switch profile: ${e.message}`, 'error');
+        return { ok: false, error: e.message };
+    } finally {
+        isChecking = false;
+    }
+
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('settings-updated', settings);
+    }
+    notifyProfilesChanged();
+    return { ok: true };
+}
+
+// change(profiles) returns the new list (see profiles.js) or throws
+function updateProfiles(change) {
+    try {
+        profiles = saveProfiles(PROFILES_FILE, change(profiles));
+        notifyProfilesChanged();
+        return { ok: true, profiles };
+    } catch (e) {
+        return { ok: false, error: e.message };
+    }
+}
+
+// --- Webhooks ---
+
+let webhookDispatcher = null;
+let heldWebhookEvents = null; // Events emitted while the dispatcher is being replaced
+
+// (Re)builds the dispatcher for the active profile: its queue file, its device name
+// and its webhooks. Deliveries queued by another profile wait in that profile's
+// queue until it is active again. The old dispatcher is drained first so two never
+// share a queue file.
+async function startWebhooks() {
+    if (webhookDispatcher) {
+        const previous = webhookDispatcher;
+        webhookDispatcher = null;
+        heldWebhookEvents = [];
+        await previous.stop();
+    }
+    webhookDispatcher = createWebhookDispatcher({
+        queueFile: WEBHOOK_QUEUE_FILE,
+        device: settings.sync.deviceName,
+        log
+    });
+    webhookDispatcher.configure(settings.webhooks);
+    webhookDispatcher.start();
+
+    const held = heldWebhookEvents || [];
+    heldWebhookEvents = null;
+    held.forEach(({ event, data }) => webhookDispatcher.emit(event, data));
+}
+
+function emitWebhook(event, data) {
+    if (webhookDispatcher) webhookDispatcher.emit(event, data);
+    else if (heldWebhookEvents) heldWebhookEvents.push({ event, data });
+}
+
+// --- Local API ---
+
+// Lets the CLI find the port and token without configuration
+const API_INFO_FILE = path.join(app.getPath('userData'), 'time-tracker-api.json');
+let apiServer = null;
+
+function getTodaySnapshot() {
+    const sessions = trackingData.sessions.slice();
+    if (trackingData.isTracking && trackingData.currentSessionStart) {
+        sessions.push({
+            start: new Date(trackingData.currentSessionStart).toISOString(),
+            end: null,
+            duration: Math.floor((Date.now() - trackingData.currentSessionStart) / 1000),
+            running: true,
+            ...getProjectFields(trackingData.currentProject)
+        });
+    }
+    return {
+        date: trackingData.currentDate,
+        totalSeconds: trackingData.lastStatus ? trackingData.lastStatus.totalSeconds : 0,
+        sessions: sessions.map(session => {
+            const project = getProject(session.project);
+            return { ...session, projectName: project ? project.name : null };
+        })
+    };
+}
+
+async function updateApiServer() {
+    if (apiServer) {
+        await apiServer.stop();
+        apiServer = null;
+        fs.rmSync(API_INFO_FILE, { force: true });
+    }
+    if (!settings.api.enabled) return;
+
+    const server = createApiServer({
+        port: settings.api.port,
+        token: settings.api.token,
+        log,
+        handlers: {
+            getStatus: () => trackingData.lastStatus,
+            getToday: getTodaySnapshot,
+            getCurrentDate: () => trackingData.currentDate,
+            getHistory: (from, to) => getDaysInRange(withRemoteDevices(readAllData()), from, to, settings.workday.startHour),
+            setOverride
+        }
+    });
+
+    try {
+        await server.start();
+        apiServer = server;
+        writeJsonAtomic(API_INFO_FILE, { url: `http://127.0.0.1:${settings.api.port}`, token: settings.api.token, pid: process.pid });
+        fs.chmodSync(API_INFO_FILE, 0o600); // The token grants control over tracking
+    } catch (e) {
+        log(`Failed to start local API on port ${settings.api.port}: ${e.message}`, 'error');
+    }
+}
+
+// --- Launch at Startup ---
+
+function setStartup(enable) {
+    app.setLoginItemSettings({
+        openAtLogin: enable,
+        path: app.getPath('exe')
+    });
+    refreshTrayMenu();
+    const enabled = app.getLoginItemSettings().openAtLogin;
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('startup-changed', enabled);
+    }
+    return enabled;
+}
+
 // --- App Lifecycle ---
 
 const gotTheLock = app.requestSingleInstanceLock();
@@ -406,34 +1854,90 @@ if (!gotTheLock) {
 
     app.whenReady().then(() => {
         log('App starting...');
+        loadAppSettings();
+        startWebhooks();
         loadData();
+        if (settings.sync.enabled) refreshRemoteDevices();
         createWindow();
         createTray();
 
-        ipcMain.handle('get-history', async () => {
+        ipcMain.handle('query-history', (event, options) => queryHistory(options));
+
+        // Per-day totals for the Reports tab
+        ipcMain.handle('get-day-totals', () => {
             try {
-                if (fs.existsSync(DATA_FILE)) {
-                    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-                }
-                return {};
+                return getDayTotals(groupSessionsByDay(withRemoteDevices(readAllData()), settings.workday.startHour));
             } catch (e) {
-                log('Failed to read history IPC');
+                log(`Failed to compute day totals: ${e.message}`, 'error');
                 return {};
             }
         });
 
+        ipcMain.handle('add-session', (event, payload) => addManualSession(payload));
+        ipcMain.handle('update-session', (event, payload) => updateSession(payload));
+        ipcMain.handle('split-session', (event, payload) => splitSession(payload));
+        ipcMain.handle('delete-session', (event, payload) => deleteSession(payload));
+
+        ipcMain.handle('set-override', (event, { mode, minutes }) => setOverride(mode, minutes));
+
+        ipcMain.handle('get-idle-gap', () => {
+            const gap = trackingData.pendingIdleGap;
+            if (!gap) return null;
+            return {
+                start: new Date(gap.start).toISOString(),
+                end: new Date(gap.end).toISOString(),
+                canAddToPrevious: trackingData.sessions.some(s => s.start === gap.previousStart),
+                tags: settings.idlePrompt.tags
+            };
+        });
+        ipcMain.handle('resolve-idle-gap', (event, decision) => resolveIdleGap(decision));
+
+        ipcMain.handle('get-day-off-types', () => DAY_OFF_TYPES);
+        ipcMain.handle('mark-days-off', (event, request) => markDaysOff(request));
+        ipcMain.handle('clear-day-off', (event, request) => clearDayOff(request));
+        ipcMain.handle('import-holidays', () => importHolidays());
+
+        ipcMain.handle('export-history', (event, options) => exportHistory(options));
+        ipcMain.handle('generate-timesheet', (event, options) => generateTimesheet(options));
+
+        ipcMain.handle('choose-sync-folder', async () => {
+            const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+                title: 'Choose Sync Folder',
+                properties: ['openDirectory', 'createDirectory']
+            });
+            return canceled || filePaths.length === 0 ? null : filePaths[0];
+        });
+
+        ipcMain.handle('get-sync-status', () => ({
+            enabled: settings.sync.enabled,
+            devices: remoteDevices.map(remote => ({ name: remote.device.name, updatedAt: remote.updatedAt }))
+        }));
+
+        ipcMain.handle('get-repair-report', () => readRepairReport());
+        ipcMain.handle('check-data', () => checkDataIntegrity());
+
+        ipcMain.handle('get-diagnostics', () => getDiagnostics());
+        ipcMain.handle('export-diagnostics', () => exportDiagnostics());
+
+        ipcMain.handle('get-profiles', () => profiles);
+        ipcMain.handle('switch-profile', (event, profileId) => switchProfile(profileId));
+        ipcMain.handle('add-profile', (event, name) => updateProfiles(state => addProfile(state, name)));
+        ipcMain.handle('rename-profile', (event, { id, name }) => updateProfiles(state => renameProfile(state, id, name)));
+        ipcMain.handle('remove-profile', (event, profileId) => updateProfiles(state => removeProfile(state, profileId)));
+
+        ipcMain.handle('get-settings', () => settings);
+
+        // Accepts a partial settings object; sections not sent are kept as they are
+        ipcMain.handle('save-settings', (event, newSettings) => applySettings(newSettings));
+
         ipcMain.handle('get-startup-status', () => {
             const settings = app.getLoginItemSettings();
             return settings.openAtLogin;
         });
 
-        ipcMain.handle('toggle-startup', (event, enable) => {
-            app.setLoginItemSettings({
-                openAtLogin: enable,
-                path: app.getPath('exe')
-            });
-            return app.getLoginItemSettings().openAtLogin;
-        });
+        ipcMain.handle('toggle-startup', (event, enable) => setStartup(enable));
+
+        updateApiServer();
 
         setInterval(() => {
             checkActivity();
@@ -449,19 +1953,18 @@ if (!gotTheLock) {
 app.on('will-quit', () => {
     log('App is quitting, saving data...');
     if (trackingData.isTracking && trackingData.currentSessionStart) {
-        const nowTimestamp = Date.now();
-        const duration = Math.floor((nowTimestamp - trackingData.currentSessionStart) / 1000);
-
+        const duration = commitCurrentSession();
         if (duration > 0) {
-            trackingData.sessions.push({
-                start: new Date(trackingData.currentSessionStart).toISOString(),
-                end: new Date(nowTimestamp).toISOString(),
-                duration: duration
-            });
             log(`Saved final session on quit. Duration: ${duration}s`);
         }
     }
     saveData();
+    if (webhookDispatcher) webhookDispatcher.stop();
+
+    if (apiServer) {
+        apiServer.stop();
+        fs.rmSync(API_INFO_FILE, { force: true });
+    }
 });
 
 app.on('window-all-closed', () => {
@@ -2,7 +2,38 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
     onUpdateTime: (callback) => ipcRenderer.on('update-time', (_event, value) => callback(value)),
-    getHistory: () => ipcRenderer.invoke('get-history'),
+    queryHistory: (options) => ipcRenderer.invoke('query-history', options),
+    getDayTotals: () => ipcRenderer.invoke('get-day-totals'),
+    addSession: (session) => ipcRenderer.invoke('add-session', session),
+    updateSession: (change) => ipcRenderer.invoke('update-session', change),
+    splitSession: (change) => ipcRenderer.invoke('split-session', change),
+    deleteSession: (session) => ipcRenderer.invoke('delete-session', session),
+    setOverride: (mode, minutes) => ipcRenderer.invoke('set-override', { mode, minutes }),
+    getIdleGap: () => ipcRenderer.invoke('get-idle-gap'),
+    resolveIdleGap: (decision) => ipcRenderer.invoke('resolve-idle-gap', decision),
+    getDayOffTypes: () => ipcRenderer.invoke('get-day-off-types'),
+    markDaysOff: (request) => ipcRenderer.invoke('mark-days-off', request),
+    clearDayOff: (request) => ipcRenderer.invoke('clear-day-off', request),
+    importHolidays: () => ipcRenderer.invoke('import-holidays'),
+    exportHistory: (options) => ipcRenderer.invoke('export-history', options),
+    generateTimesheet: (options) => ipcRenderer.invoke('generate-timesheet', options),
+    chooseSyncFolder: () => ipcRenderer.invoke('choose-sync-folder'),
+    getSyncStatus: () => ipcRenderer.invoke('get-sync-status'),
+    getRepairReport: () => ipcRenderer.invoke('get-repair-report'),
+    checkData: () => ipcRenderer.invoke('check-data'),
+    getDiagnostics: () => ipcRenderer.invoke('get-diagnostics'),
+    exportDiagnostics: () => ipcRenderer.invoke('export-diagnostics'),
+    getProfiles: () => ipcRenderer.invoke('get-profiles'),
+    switchProfile: (profileId) => ipcRenderer.invoke('switch-profile', profileId),
+    addProfile: (name) => ipcRenderer.invoke('add-profile', name),
+    renameProfile: (change) => ipcRenderer.invoke('rename-profile', change),
+    removeProfile: (profileId) => ipcRenderer.invoke('remove-profile', profileId),
+    onProfilesUpdated: (callback) => ipcRenderer.on('profiles-updated', (_event, value) => callback(value)),
+    getSettings: () => ipcRenderer.invoke('get-settings'),
+    saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
+    onSettingsUpdated: (callback) => ipcRenderer.on('settings-updated', (_event, value) => callback(value)),
     getStartupStatus: () => ipcRenderer.invoke('get-startup-status'),
-    toggleStartup: (enabled) => ipcRenderer.invoke('toggle-startup', enabled)
+    toggleStartup: (enabled) => ipcRenderer.invoke('toggle-startup', enabled),
+    onStartupChanged: (callback) => ipcRenderer.on('startup-changed', (_event, value) => callback(value)),
+    onOpenHistory: (callback) => ipcRenderer.on('open-history', () => callback())
 });
@@ -0,0 +1,91 @@
+// Named profiles (e.g. one per client), each with its own data and settings files.
+// The list is kept in <userData>/time-tracker-profiles.json:
+//   { activeId, profiles: [{ id, name }] }
+// The default profile uses the files directly in userData, so data from before
+// profiles existed stays where it was; other profiles live in profiles/<id>/.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('./storage');
+
+const DEFAULT_PROFILE_ID = 'default';
+const MAX_NAME_LENGTH = 40;
+
+function normalizeName(name) {
+    return typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+}
+
+function normalizeProfiles(raw = {}) {
+    const seen = new Set();
+    const profiles = (Array.isArray(raw.profiles) ? raw.profiles : [])
+        .filter(p => p && typeof p.id === 'string' && /^[\w-]+$/.test(p.id) && normalizeName(p.name))
+        .map(p => ({ id: p.id, name: normalizeName(p.name) }))
+        .filter(p => {
+            if (seen.has(p.id)) return false;
+            seen.add(p.id);
+            return true;
+        });
+    if (!seen.has(DEFAULT_PROFILE_ID)) {
+        profiles.unshift({ id: DEFAULT_PROFILE_ID, name: 'Default' });
+    }
+
+    return {
+        activeId: profiles.some(p => p.id === raw.activeId) ? raw.activeId : DEFAULT_PROFILE_ID,
+        profiles
+    };
+}
+
+function loadProfiles(file) {
+    if (!fs.existsSync(file)) return normalizeProfiles();
+    return normalizeProfiles(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+function saveProfiles(file, state) {
+    const normalized = normalizeProfiles(state);
+    writeJsonAtomic(file, normalized);
+    return normalized;
+}
+
+// Folder holding a profile's data and settings files
+function getProfileDir(userDataDir, profileId) {
+    return profileId === DEFAULT_PROFILE_ID ? userDataDir : path.join(userDataDir, 'profiles', profileId);
+}
+
+function checkName(state, name, ignoreId = null) {
+    const clean = normalizeName(name);
+    if (!clean) throw new Error('Enter a profile name');
+    if (state.profiles.some(p => p.id !== ignoreId && p.name.toLowerCase() === clean.toLowerCase())) {
+        throw new Error(`A profile named "${clean}" already exists`);
+    }
+    return clean;
+}
+
+// The helpers below return the new state and throw on invalid changes
+
+function addProfile(state, name) {
+    const profile = { id: `profile-${crypto.randomBytes(4).toString('hex')}`, name: checkName(state, name) };
+    return { ...state, profiles: state.profiles.concat(profile) };
+}
+
+function renameProfile(state, profileId, name) {
+    const clean = checkName(state, name, profileId);
+    return { ...state, profiles: state.profiles.map(p => (p.id === profileId ? { ...p, name: clean } : p)) };
+}
+
+// Only removes the profile from the list, its files are left on disk
+function removeProfile(state, profileId) {
+    if (profileId === DEFAULT_PROFILE_ID) throw new Error('The default profile cannot be deleted');
+    if (profileId === state.activeId) throw new Error('Switch to another profile before deleting this one');
+    return { ...state, profiles: state.profiles.filter(p => p.id !== profileId) };
+}
+
+module.exports = {
+    DEFAULT_PROFILE_ID,
+    loadProfiles,
+    saveProfiles,
+    getProfileDir,
+    addProfile,
+    renameProfile,
+    removeProfile
+};
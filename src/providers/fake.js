@@ -0,0 +1,57 @@
+const fs = require('fs');
+
+// Scriptable provider for exercising the tracking loop without a desktop.
+// Values can be set in-process (setIdleTime / setProcesses) or, when a state
+// file is given, are re-read from it on every tick:
+//   { "idleSeconds": 0, "processes": ["chrome.exe"], "foreground": { "app": "chrome.exe", "title": "..." } }
+function createFakeProviders({ log, idleSeconds = 0, processes = [], foreground = null, stateFile = null } = {}) {
+    const state = { idleSeconds, processes, foreground };
+
+    function readStateFile() {
+        if (!stateFile) return;
+        try {
+            const data = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+            if (typeof data.idleSeconds === 'number') state.idleSeconds = data.idleSeconds;
+            if (Array.isArray(data.processes)) state.processes = data.processes;
+            if (data.foreground !== undefined) state.foreground = data.foreground;
+        } catch (e) {
+            if (log) log(`Fake provider could not read ${stateFile}: ${e.message}`);
+        }
+    }
+
+    return {
+        name: 'fake',
+        idle: {
+            name: 'fake',
+            async getIdleTime() {
+                readStateFile();
+                return state.idleSeconds;
+            }
+        },
+        processes: {
+            name: 'fake',
+            async listProcesses() {
+                readStateFile();
+                return state.processes.slice();
+            }
+        },
+        foreground: {
+            name: 'fake',
+            async getForeground() {
+                readStateFile();
+                return state.foreground ? { ...state.foreground } : null;
+            }
+        },
+        setIdleTime(seconds) {
+            state.idleSeconds = seconds;
+        },
+        setProcesses(list) {
+            state.processes = list.slice();
+        },
+        setForeground(app, title = '') {
+            state.foreground = app ? { app, title } : null;
+        }
+    };
+}
+
+module.exports = { createFakeProviders };
@@ -0,0 +1,45 @@
+// Idle and process detection providers, selected at runtime.
+//
+// Every provider exposes:
+//   idle.name, idle.getIdleTime()            -> Promise<seconds>
+//   processes.name, processes.listProcesses() -> Promise<string[]>
+//   foreground.name, foreground.getForeground() -> Promise<{ app, title } | null>
+//
+// TIME_TRACKER_PROVIDER=fake forces the fake provider (see fake.js), which reads
+// TIME_TRACKER_FAKE_STATE (a JSON state file), TIME_TRACKER_FAKE_IDLE and
+// TIME_TRACKER_FAKE_PROCESSES (comma separated) and TIME_TRACKER_FAKE_FOREGROUND
+// ("app" or "app|window title").
+
+const { createWindowsProviders } = require('./windows');
+const { createLinuxProviders } = require('./linux');
+const { createFakeProviders } = require('./fake');
+
+function parseFakeForeground(value) {
+    if (!value) return null;
+    const [app, ...title] = value.split('|');
+    return { app: app.trim(), title: title.join('|').trim() };
+}
+
+function selectProviders({ log, platform = process.platform, env = process.env }) {
+    const override = (env.TIME_TRACKER_PROVIDER || '').toLowerCase();
+
+    if (override === 'fake') {
+        return createFakeProviders({
+            log,
+            idleSeconds: Number(env.TIME_TRACKER_FAKE_IDLE) || 0,
+            processes: (env.TIME_TRACKER_FAKE_PROCESSES || '').split(',').map(p => p.trim()).filter(Boolean),
+            foreground: parseFakeForeground(env.TIME_TRACKER_FAKE_FOREGROUND),
+            stateFile: env.TIME_TRACKER_FAKE_STATE || null
+        });
+    }
+    if (override === 'windows' || (!override && platform === 'win32')) {
+        return createWindowsProviders({ log });
+    }
+    // Linux, and anything else unix-like (falls back to `ps` without /proc)
+    return createLinuxProviders({ log });
+}
+
+module.exports = {
+    selectProviders,
+    createFakeProviders
+};
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const { execText, createIdleChain, loadDesktopIdle } = require('./util');
+
+// --- Process detection ---
+
+// /proc/<pid>/comm is truncated to 15 characters, so also take the executable
+// name from the command line (e.g. "gnome-text-editor" instead of "gnome-text-edit")
+async function readProcessNames(pid) {
+    const names = [];
+    try {
+        const comm = await fs.promises.readFile(`/proc/${pid}/comm`, 'utf8');
+        names.push(comm.trim());
+    } catch (e) {
+        // Process exited while we were scanning
+    }
+    try {
+        const cmdline = await fs.promises.readFile(`/proc/${pid}/cmdline`, 'utf8');
+        const argv0 = cmdline.split('\0')[0];
+        if (argv0) names.push(path.basename(argv0));
+    } catch (e) {
+        // Same as above
+    }
+    return names;
+}
+
+// Names per PID, kept until the PID disappears so a tick only reads new processes.
+// A new PID is read once more on the next tick, in case it was caught between fork and exec.
+const knownProcesses = new Map(); // pid -> { names, confirmed }
+
+async function listProcFs() {
+    const entries = await fs.promises.readdir('/proc');
+    const pids = entries.filter(name => /^\d+$/.test(name));
+
+    const alive = new Set(pids);
+    knownProcesses.forEach((entry, pid) => {
+        if (!alive.has(pid)) knownProcesses.delete(pid);
+    });
+
+    const nameLists = await Promise.all(pids.map(async pid => {
+        const known = knownProcesses.get(pid);
+        if (known && known.confirmed) return known.names;
+        const names = await readProcessNames(pid);
+        knownProcesses.set(pid, { names, confirmed: !!known });
+        return names;
+    }));
+    return Array.from(new Set(nameLists.flat().filter(Boolean)));
+}
+
+async function listPs() {
+    const stdout = await execText('ps -A -o comm=');
+    return Array.from(new Set(stdout.split('\n').map(line => path.basename(line.trim())).filter(Boolean)));
+}
+
+// --- Idle detection ---
+
+function mutterBackend() {
+    // GNOME (Wayland and X11) exposes the idle time through Mutter's IdleMonitor
+    return {
+        name: 'mutter-idle-monitor',
+        getIdleTime: async () => {
+            const output = await execText('gdbus call --session --dest org.gnome.Mutter.IdleMonitor --object-path /org/gnome/Mutter/IdleMonitor/Core --method org.gnome.Mutter.IdleMonitor.GetIdletime');
+            const match = output.match(/uint64\s+(\d+)/);
+            if (!match) throw new Error(`unexpected output: ${output}`);
+            return parseInt(match[1]) / 1000;
+        }
+    };
+}
+
+function xprintidleBackend() {
+    return {
+        name: 'xprintidle',
+        getIdleTime: async () => {
+            const millis = parseInt(await execText('xprintidle'));
+            if (isNaN(millis)) throw new Error('unexpected output');
+            return millis / 1000;
+        }
+    };
+}
+
+function logindBackend() {
+    // Coarse: only as good as the desktop's IdleHint reporting, but works on most Wayland compositors
+    return {
+        name: 'logind',
+        getIdleTime: async () => {
+            const session = process.env.XDG_SESSION_ID || 'auto';
+            const output = await execText(`loginctl show-session ${session} -p IdleHint -p IdleSinceHint`);
+            const props = {};
+            output.split('\n').forEach(line => {
+                const [key, ...rest] = line.split('=');
+                props[key.trim()] = rest.join('=').trim();
+            });
+            if (!('IdleHint' in props)) throw new Error('IdleHint not available');
+            if (props.IdleHint !== 'yes') return 0;
+
+            const sinceMicros = parseInt(props.IdleSinceHint);
+            if (isNaN(sinceMicros) || sinceMicros === 0) return 0;
+            return Math.max(0, (Date.now() - sinceMicros / 1000) / 1000);
+        }
+    };
+}
+
+// --- Foreground window ---
+
+function xpropValue(output, property) {
+    const line = output.split('\n').find(l => l.startsWith(`${property}(`));
+    return line ? line.slice(line.indexOf('=') + 1).trim() : null;
+}
+
+// Quoted xprop strings: "first", "second" -> ['first', 'second']
+function xpropStrings(value) {
+    const quoted = (value || '').match(/"(?:[^"\\]|\\.)*"/g) || [];
+    return quoted.map(q => q.slice(1, -1).replace(/\\(.)/g, '$1'));
+}
+
+// X11 only: Wayland compositors don't expose the focused window to other clients
+function xpropForeground() {
+    return {
+        name: 'xprop',
+        getForeground: async () => {
+            const root = await execText('xprop -root _NET_ACTIVE_WINDOW');
+            const match = root.match(/window id # (0x[0-9a-f]+)/i);
+            if (!match || parseInt(match[1], 16) === 0) return null;
+
+            const output = await execText(`xprop -id ${match[1]} _NET_WM_PID _NET_WM_NAME WM_CLASS`);
+            const pid = parseInt(xpropValue(output, '_NET_WM_PID'));
+            const title = xpropStrings(xpropValue(output, '_NET_WM_NAME'))[0] || '';
+
+            // Same names as the process list (so rules and aliases match), WM_CLASS as fallback
+            let app = null;
+            if (!isNaN(pid)) {
+                const names = await readProcessNames(pid);
+                app = names[names.length - 1] || null;
+            }
+            if (!app) {
+                const classes = xpropStrings(xpropValue(output, 'WM_CLASS'));
+                app = classes[classes.length - 1] || null;
+            }
+            return app ? { app, title } : null;
+        }
+    };
+}
+
+function createLinuxProviders({ log }) {
+    const isWayland = process.env.XDG_SESSION_TYPE === 'wayland' || !!process.env.WAYLAND_DISPLAY;
+    const idleBackends = [];
+
+    if (isWayland) {
+        idleBackends.push(mutterBackend());
+    } else if (process.env.DISPLAY) {
+        idleBackends.push(xprintidleBackend());
+        const desktopIdle = loadDesktopIdle();
+        if (desktopIdle) {
+            idleBackends.push({
+                name: 'desktop-idle',
+                getIdleTime: async () => desktopIdle.getIdleTime()
+            });
+        }
+        idleBackends.push(mutterBackend());
+    }
+    idleBackends.push(logindBackend());
+    idleBackends.push({
+        name: 'none',
+        // Last resort: never report idle, so at least app detection keeps working
+        getIdleTime: async () => 0
+    });
+
+    let useProcFs = fs.existsSync('/proc/self/comm');
+
+    let foreground = !isWayland && process.env.DISPLAY ? xpropForeground() : null;
+    if (!foreground) {
+        log('Foreground window detection not available in this session');
+    }
+
+    return {
+        name: 'linux',
+        idle: createIdleChain(idleBackends, log),
+        processes: {
+            get name() {
+                return useProcFs ? 'procfs' : 'ps';
+            },
+            async listProcesses() {
+                try {
+                    return useProcFs ? await listProcFs() : await listPs();
+                } catch (e) {
+                    log(`Process listing failed: ${e.message}`);
+                    if (useProcFs) {
+                        useProcFs = false;
+                        log('Switching process detection to "ps"');
+                    }
+                    return [];
+                }
+            }
+        },
+        foreground: {
+            get name() {
+                return foreground ? foreground.name : 'none';
+            },
+            async getForeground() {
+                if (!foreground) return null;
+                try {
+                    return await foreground.getForeground();
+                } catch (e) {
+                    // Usually xprop is not installed; don't retry every tick
+                    log(`Foreground window detection failed (${e.message}), disabling it`);
+                    foreground = null;
+                    return null;
+                }
+            }
+        }
+    };
+}
+
+module.exports = { createLinuxProviders };
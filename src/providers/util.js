@@ -0,0 +1,61 @@
+const { exec } = require('child_process');
+
+// Run a shell command and resolve with its trimmed stdout; rejects on failure
+function execText(command, options = {}) {
+    return new Promise((resolve, reject) => {
+        exec(command, { timeout: 5000, maxBuffer: 4 * 1024 * 1024, ...options }, (err, stdout) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(stdout.trim());
+        });
+    });
+}
+
+// Try idle backends in order. The first one that answers becomes the active one;
+// when it fails we move on to the next and never go back (same as the old
+// desktop-idle -> PowerShell fallback). The last backend is kept even if it fails.
+function createIdleChain(backends, log) {
+    let index = 0;
+
+    return {
+        get name() {
+            return backends[index] ? backends[index].name : 'none';
+        },
+        async getIdleTime() {
+            while (index < backends.length) {
+                const backend = backends[index];
+                try {
+                    const seconds = await backend.getIdleTime();
+                    if (typeof seconds !== 'number' || isNaN(seconds)) {
+                        throw new Error(`invalid idle value: ${seconds}`);
+                    }
+                    return Math.max(0, seconds);
+                } catch (e) {
+                    if (index === backends.length - 1) {
+                        log(`Idle provider "${backend.name}" error: ${e.message}`);
+                        return 0;
+                    }
+                    index++;
+                    log(`Idle provider "${backend.name}" failed (${e.message}), switching to "${backends[index].name}"`);
+                }
+            }
+            return 0;
+        }
+    };
+}
+
+function loadDesktopIdle() {
+    try {
+        return require('desktop-idle');
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = {
+    execText,
+    createIdleChain,
+    loadDesktopIdle
+};
@@ -0,0 +1,69 @@
+const path = require('path');
+const { execText, createIdleChain, loadDesktopIdle } = require('./util');
+
+function getScriptPath(name) {
+    let psPath = path.join(__dirname, '..', name);
+
+    // Fix for ASAR: If running in asar, the script is in app.asar.unpacked
+    if (psPath.includes('app.asar')) {
+        psPath = psPath.replace('app.asar', 'app.asar.unpacked');
+    }
+    return psPath;
+}
+
+function createWindowsProviders({ log }) {
+    const idleBackends = [];
+
+    const desktopIdle = loadDesktopIdle();
+    if (desktopIdle) {
+        idleBackends.push({
+            name: 'desktop-idle',
+            getIdleTime: async () => desktopIdle.getIdleTime()
+        });
+    } else {
+        log('desktop-idle not found, using PowerShell fallback.');
+    }
+
+    idleBackends.push({
+        name: 'powershell',
+        getIdleTime: async () => {
+            const output = await execText(`powershell -ExecutionPolicy Bypass -File "${getScriptPath('idle.ps1')}"`);
+            const millis = parseInt(output);
+            return isNaN(millis) ? 0 : millis / 1000;
+        }
+    });
+
+    return {
+        name: 'windows',
+        idle: createIdleChain(idleBackends, log),
+        processes: {
+            name: 'tasklist',
+            // Image names of all running processes (e.g. "chrome.exe")
+            async listProcesses() {
+                try {
+                    const stdout = await execText('tasklist /FO CSV /NH');
+                    return stdout
+                        .split(/\r?\n/)
+                        .map(line => line.match(/^"([^"]+)"/))
+                        .filter(Boolean)
+                        .map(m => m[1]);
+                } catch (e) {
+                    log(`tasklist failed: ${e.message}`);
+                    return [];
+                }
+            }
+        },
+        foreground: {
+            name: 'powershell',
+            // { app: "chrome.exe", title } of the focused window, or null
+            async getForeground() {
+                const output = await execText(`powershell -ExecutionPolicy Bypass -File "${getScriptPath('foreground.ps1')}"`);
+                if (!output) return null;
+                const [app, ...title] = output.split('\t');
+                return { app, title: title.join('\t') };
+            }
+        }
+    };
+}
+
+module.exports = { createWindowsProviders };
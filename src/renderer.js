@@ -2,6 +2,51 @@ const timerElement = document.getElementById('timer-display');
 const statusText = document.getElementById('status-text');
 const statusDot = document.getElementById('status-dot');
 
+// Projects from settings, used to show names in the main card and History
+let projects = [];
+// Privacy setting: window titles are left out of the History tooltips
+let hideWindowTitles = false;
+// Hour when a new day starts (settings.workday), sessions before it belong to the previous day
+let dayStartHour = 0;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function getProjectName(id) {
+    const project = projects.find(p => p.id === id);
+    return project ? project.name : null;
+}
+
+// 3725 -> "1h 2min", 300 -> "5min"
+function formatDuration(totalSeconds) {
+    const totalMins = Math.floor(totalSeconds / 60);
+    const hours = Math.floor(totalMins / 60);
+    const mins = totalMins % 60;
+    return hours > 0 ? `${hours}h ${mins}min` : `${totalMins}min`;
+}
+
+// "+1h 05min" / "-0h 30min" (same as timebank.formatBalance)
+function formatBalance(seconds) {
+    const sign = seconds < 0 ? '-' : '+';
+    const totalMins = Math.floor(Math.abs(seconds) / 60);
+    return `${sign}${Math.floor(totalMins / 60)}h ${String(totalMins % 60).padStart(2, '0')}min`;
+}
+
+function balanceHtml(seconds) {
+    return `<span class="${seconds < 0 ? 'balance-negative' : 'balance-positive'}">${formatBalance(seconds)}</span>`;
+}
+
+// Compact duration for the app breakdown: "3h10", "45min"
+function formatShortDuration(totalSeconds) {
+    const totalMins = Math.round(totalSeconds / 60);
+    return totalMins >= 60 ? `${Math.floor(totalMins / 60)}h${String(totalMins % 60).padStart(2, '0')}` : `${totalMins}min`;
+}
+
 function formatTime(totalSeconds) {
     const hours = Math.floor(totalSeconds / 3600);
     const minutes = Math.floor((totalSeconds % 3600) / 60);
@@ -13,6 +58,20 @@ window.electronAPI.onUpdateTime((data) => {
     timerElement.textContent = formatTime(data.totalSeconds);
     statusText.textContent = data.status;
 
+    const profileEl = document.getElementById('active-profile');
+    profileEl.textContent = data.profileName || '';
+    profileEl.classList.toggle('hidden', !data.profileName);
+
+    const projectEl = document.getElementById('active-project');
+    projectEl.textContent = data.projectName ? `Project: ${data.projectName}` : '';
+    projectEl.classList.toggle('hidden', !data.projectName);
+
+    const timeBankEl = document.getElementById('time-bank');
+    timeBankEl.innerHTML = data.timeBank
+        ? `Today ${balanceHtml(data.timeBank.today)} &middot; Bank ${balanceHtml(data.timeBank.balance)}`
+        : '';
+    timeBankEl.classList.toggle('hidden', !data.timeBank);
+
     // Update Last Interaction
     if (data.lastActiveTime) {
         const now = Date.now();
@@ -29,16 +88,22 @@ window.electronAPI.onUpdateTime((data) => {
 
     // Update dot color class
     statusDot.className = 'dot'; // reset
-    if (data.isTracking) {
+    if (data.state === 'forced') {
+        statusDot.classList.add('forced');
+    } else if (data.isTracking) {
         statusDot.classList.add('active');
     } else {
-        if (data.status.includes('Idle')) {
+        if (data.state === 'idle') {
             statusDot.classList.add('paused-idle');
-        } else if (data.status.includes('Chrome')) {
-            statusDot.classList.add('paused-chrome');
+        } else if (data.state === 'apps-closed') {
+            statusDot.classList.add('paused-apps');
+        } else if (data.state === 'manual-pause') {
+            statusDot.classList.add('paused-manual');
         }
     }
 
+    renderOverrideControls(data.override);
+
     // Update version if needed
     if (data.version) {
         const vEl = document.getElementById('app-version');
@@ -49,75 +114,342 @@ window.electronAPI.onUpdateTime((data) => {
     }
 });
 
+// --- Pause / Force Tracking ---
+const overrideDuration = document.getElementById('override-duration');
+const pauseBtn = document.getElementById('pause-btn');
+const forceBtn = document.getElementById('force-btn');
+const resumeBtn = document.getElementById('resume-btn');
+
+function renderOverrideControls(override) {
+    const active = !!override;
+    overrideDuration.classList.toggle('hidden', active);
+    pauseBtn.classList.toggle('hidden', active);
+    forceBtn.classList.toggle('hidden', active);
+    resumeBtn.classList.toggle('hidden', !active);
+}
+
+function setOverride(mode) {
+    const minutes = Number(overrideDuration.value) || null;
+    window.electronAPI.setOverride(mode, minutes).then(renderOverrideControls);
+}
+
+pauseBtn.addEventListener('click', () => setOverride('pause'));
+forceBtn.addEventListener('click', () => setOverride('force'));
+resumeBtn.addEventListener('click', () => setOverride(null));
+
+// --- Activity Rules Panel ---
+const activityRulesList = document.getElementById('activity-rules');
+
+function addRuleItem(parts) {
+    // parts: array of strings, odd indexes are rendered bold
+    const li = document.createElement('li');
+    parts.forEach((part, i) => {
+        if (i % 2 === 1) {
+            const strong = document.createElement('strong');
+            strong.textContent = part;
+            li.appendChild(strong);
+        } else {
+            li.appendChild(document.createTextNode(part));
+        }
+    });
+    activityRulesList.appendChild(li);
+}
+
+function formatIdleThreshold(seconds) {
+    if (seconds % 60 === 0) {
+        const mins = seconds / 60;
+        return `${mins} minute${mins === 1 ? '' : 's'}`;
+    }
+    return `${seconds} seconds`;
+}
+
+function renderActivityRules(rules) {
+    activityRulesList.innerHTML = '';
+
+    if (rules.processes.length === 0) {
+        addRuleItem(['Tracking active whenever the computer is in use.']);
+    } else if (rules.processes.length === 1) {
+        addRuleItem(['Tracking active only when ', rules.processes[0], ' is open.']);
+    } else {
+        const quantifier = rules.match === 'all' ? 'all of' : 'any of';
+        addRuleItem([`Tracking active only when ${quantifier} `, rules.processes.join(', '), ' are open.']);
+    }
+    if (rules.processes.length > 0) {
+        addRuleItem(['Other apps are ignored.']);
+    }
+    addRuleItem(['Pauses automatically after ', formatIdleThreshold(rules.idleThresholdSeconds), ' of inactivity.']);
+}
+
+function applySettingsToUI(settings) {
+    projects = settings.projects;
+    dayStartHour = settings.workday.startHour;
+    renderActivityRules(settings.rules);
+}
+
+window.electronAPI.getSettings().then(applySettingsToUI);
+window.electronAPI.onSettingsUpdated(applySettingsToUI);
+
 // History Logic
 const historyBtn = document.getElementById('history-btn');
 const historyModal = document.getElementById('history-modal');
 const closeHistoryBtn = document.getElementById('close-history');
 const historyList = document.getElementById('history-list');
 
-historyBtn.addEventListener('click', async () => {
-    const history = await window.electronAPI.getHistory();
-    renderHistory(history);
+const historyMonth = document.getElementById('history-month');
+const historyFrom = document.getElementById('history-from');
+const historyTo = document.getElementById('history-to');
+const historySearch = document.getElementById('history-search');
+const historySummary = document.getElementById('history-summary');
+
+let loadedDays = 0; // Days shown so far, the offset of the next page
+let historyPageSize = 0;
+let searchTimer = null;
+let lastSearch = ''; // Search of the page shown
+
+// 'YYYY-MM' -> { from, to } of that calendar month
+function getMonthBounds(month) {
+    const [y, m] = month.split('-').map(Number);
+    return { from: `${month}-01`, to: toDateValue(new Date(y, m, 0)) };
+}
+
+function shiftMonth(month, delta) {
+    const [y, m] = month.split('-').map(Number);
+    return toDateValue(new Date(y, m - 1 + delta, 1)).slice(0, 7);
+}
+
+// The month the From / To dates cover exactly, or null for any other range
+function getSelectedMonth() {
+    const month = historyFrom.value.slice(0, 7);
+    if (!month) return null;
+    const { from, to } = getMonthBounds(month);
+    return historyFrom.value === from && historyTo.value === to ? month : null;
+}
+
+// months: [{ month, days, total }] with data, newest first (from query-history)
+function fillMonthSelect(months) {
+    const totals = {};
+    months.forEach(m => {
+        totals[m.month] = m.total;
+    });
+    const selected = getSelectedMonth();
+    const keys = new Set(Object.keys(totals));
+    keys.add(getWorkdayKey(new Date()).slice(0, 7));
+    if (selected) keys.add(selected);
+
+    historyMonth.innerHTML = '<option value="">Custom range</option>' + Array.from(keys)
+        .sort((a, b) => b.localeCompare(a))
+        .map(month => {
+            const label = parseDateKey(`${month}-01`).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+            return `<option value="${month}">${label}${totals[month] ? ` (${formatHours(totals[month])})` : ''}</option>`;
+        })
+        .join('');
+    historyMonth.value = selected || '';
+}
+
+function showMonth(month) {
+    const { from, to } = getMonthBounds(month);
+    historyFrom.value = from;
+    historyTo.value = to;
+    reloadHistory();
+}
+
+function getHistoryQuery(offset, limit) {
+    return { from: historyFrom.value, to: historyTo.value, search: historySearch.value.trim(), offset, limit };
+}
+
+// Bumped by every load, so the response of a superseded query is dropped
+let historyRequest = 0;
+
+// Reloads the page with the current filters; the reports don't depend on them
+async function loadHistoryPage() {
+    const request = ++historyRequest;
+    const settings = await window.electronAPI.getSettings();
+    if (request !== historyRequest) return;
+    projects = settings.projects;
+    hideWindowTitles = settings.appTracking.hideTitles;
+    dayStartHour = settings.workday.startHour;
+    dayOffTypes = await window.electronAPI.getDayOffTypes();
+
+    // After an edit, reload as many days as were shown so the list keeps its length
+    const page = await window.electronAPI.queryHistory(getHistoryQuery(0, loadedDays > historyPageSize ? loadedDays : undefined));
+    if (request !== historyRequest) return;
+    historyList.innerHTML = '';
+    loadedDays = 0;
+    if (!page.ok) {
+        historySummary.textContent = `History failed: ${page.error}`;
+        return;
+    }
+    historyPageSize = page.limit;
+    fillMonthSelect(page.months);
+    renderHistoryPage(page);
+}
+
+// The Reports tab covers the whole history, so it is only built when shown
+let reportsStale = true;
+
+async function refreshReports() {
+    reportsStale = false;
+    renderReports(await window.electronAPI.getDayTotals());
+}
+
+// After the data changed (edits, imports, settings...)
+async function refreshHistory() {
+    reportsStale = true;
+    await loadHistoryPage();
+    if (!reportsView.classList.contains('hidden')) await refreshReports();
+}
+
+// New filters start again from the first page
+function reloadHistory() {
+    loadedDays = 0;
+    loadHistoryPage();
+}
+
+async function loadMoreHistory() {
+    const request = historyRequest;
+    const page = await window.electronAPI.queryHistory(getHistoryQuery(loadedDays));
+    if (page.ok && request === historyRequest) renderHistoryPage(page);
+}
+
+// Append one page of days, with a "Load more" button while more are left
+function renderHistoryPage(page) {
+    const moreBtn = document.getElementById('history-more');
+    if (moreBtn) moreBtn.remove();
+
+    const search = historySearch.value.trim();
+    historySummary.textContent = page.totalDays === 0 ? '' :
+        `${page.totalDays} day(s), ${formatDuration(page.totalSeconds)}${search ? ` matching "${search}"` : ''}`;
+    if (page.totalDays === 0) {
+        const message = search ? 'No matches' : 'No history in this period';
+        historyList.innerHTML = `<div style="text-align:center; color: #666; padding: 20px;">${message}</div>`;
+        return;
+    }
+
+    renderHistory(page.days, page.timeBank, page.billing, page.compliance);
+    loadedDays += page.days.length;
+    if (page.hasMore) {
+        historyList.insertAdjacentHTML('beforeend',
+            `<button id="history-more" class="day-add-session" data-action="load-more">Load more (${page.totalDays - loadedDays} day(s) left)</button>`);
+    }
+}
+
+// Opens on the current month, without a search
+async function openHistory() {
+    historySearch.value = '';
+    lastSearch = '';
+    const { from, to } = getMonthBounds(getWorkdayKey(new Date()).slice(0, 7));
+    historyFrom.value = from;
+    historyTo.value = to;
+    loadedDays = 0;
+    await refreshHistory();
     historyModal.classList.remove('hidden');
-});
+}
 
-closeHistoryBtn.addEventListener('click', () => {
-    historyModal.classList.add('hidden');
+historyBtn.addEventListener('click', openHistory);
+
+// "Open History" in the tray menu
+window.electronAPI.onOpenHistory(openHistory);
+
+historyMonth.addEventListener('change', () => {
+    if (historyMonth.value) showMonth(historyMonth.value);
 });
 
-function renderHistory(historyData) {
-    historyList.innerHTML = '';
+document.getElementById('history-prev').addEventListener('click', () => {
+    showMonth(shiftMonth(getSelectedMonth() || historyFrom.value.slice(0, 7) || getWorkdayKey(new Date()).slice(0, 7), -1));
+});
 
-    // 1. Flatten and Regroup by Local Date
-    const grouped = {};
+document.getElementById('history-next').addEventListener('click', () => {
+    showMonth(shiftMonth(getSelectedMonth() || historyTo.value.slice(0, 7) || getWorkdayKey(new Date()).slice(0, 7), 1));
+});
 
-    Object.values(historyData).forEach(dayData => {
-        const sessions = dayData.sessions || [];
-        sessions.forEach(session => {
-            if (!session.start || !session.end) return;
+// Either date may be cleared for an open-ended range
+historyFrom.addEventListener('change', reloadHistory);
+historyTo.addEventListener('change', reloadHistory);
 
-            const startDate = new Date(session.start);
-            // Get local YYYY-MM-DD
-            const year = startDate.getFullYear();
-            const month = String(startDate.getMonth() + 1).padStart(2, '0');
-            const day = String(startDate.getDate()).padStart(2, '0');
-            const localDateKey = `${year}-${month}-${day}`; // Format: YYYY-MM-DD
+// Queries once typing pauses, and only when the search actually changed
+historySearch.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+        const search = historySearch.value.trim();
+        if (search === lastSearch) return;
+        lastSearch = search;
+        reloadHistory();
+    }, 300);
+});
 
-            if (!grouped[localDateKey]) {
-                grouped[localDateKey] = { sessions: [], total: 0 };
-            }
-            grouped[localDateKey].sessions.push(session);
-            grouped[localDateKey].total += session.duration;
+// History / Reports tabs
+document.querySelectorAll('.tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+        document.querySelectorAll('.tab').forEach(t => {
+            t.classList.toggle('active', t === tab);
+            document.getElementById(t.dataset.view).classList.toggle('hidden', t !== tab);
         });
+        if (tab.dataset.view === 'reports-view' && reportsStale) refreshReports();
     });
+});
 
-    // Sort dates descending
-    const sortedDates = Object.keys(grouped).sort((a, b) => b.localeCompare(a));
+closeHistoryBtn.addEventListener('click', () => {
+    historyModal.classList.add('hidden');
+    closeAddSessionForm();
+    exportForm.classList.add('hidden');
+    timesheetForm.classList.add('hidden');
+    dayOffForm.classList.add('hidden');
+});
 
-    if (sortedDates.length === 0) {
-        historyList.innerHTML = '<div style="text-align:center; color: #666; padding: 20px;">No history yet</div>';
-        return;
+// entry: { billed, status } from the query's billing.bySession
+function billedHtml(entry) {
+    if (entry.status === 'merged') {
+        return '<span class="session-billed" title="Merged into the previous session for billing">merged</span>';
+    }
+    if (entry.status === 'dropped') {
+        return '<span class="session-billed" title="Shorter than the minimum billed session">not billed</span>';
     }
+    return `<span class="session-billed" title="Billed">&rarr; ${formatShortDuration(entry.billed)}</span>`;
+}
 
-    sortedDates.forEach(date => {
-        const dayData = grouped[date];
+// days: [{ date, sessions, total, dayOff? }] newest first, appended to the list
+// timeBank: { [dateKey]: { balance, cumulative } } or null when disabled
+// billing: { [dateKey]: rounding.applyBillingRules() result with bySession } or null when disabled
+// compliance: { [dateKey]: [{ type, message }] } for days breaking the break rules, or null
+function renderHistory(days, timeBank, billing, compliance) {
+    days.forEach(dayData => {
+        const date = dayData.date;
         const sessions = dayData.sessions || [];
         // Sort sessions by start time descending
         sessions.sort((a, b) => new Date(b.start) - new Date(a.start));
 
         const total = dayData.total || 0;
+        const dayBilling = billing && billing[date] ? billing[date] : null;
 
         const dayContainer = document.createElement('div');
         dayContainer.className = 'history-day-block';
 
         // Header: Date
         // Create date from YYYY-MM-DD local parts
-        const [y, m, d] = date.split('-').map(Number);
-        const dateObj = new Date(y, m - 1, d);
+        const dateObj = parseDateKey(date);
         const dateDisplay = dateObj.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
 
         let html = `<div class="day-header">${dateDisplay}</div>`;
 
+        if (compliance && compliance[date]) {
+            html += '<div class="day-compliance">';
+            compliance[date].forEach(violation => {
+                html += `<div>&#9888; ${escapeHtml(violation.message)}</div>`;
+            });
+            html += '</div>';
+        }
+
+        if (dayData.dayOff) {
+            const typeLabel = dayOffTypes[dayData.dayOff.type] ? dayOffTypes[dayData.dayOff.type].label : dayData.dayOff.type;
+            const note = dayData.dayOff.note ? ` &middot; ${escapeHtml(dayData.dayOff.note)}` : '';
+            html += `
+                <div class="day-off">
+                    <span>${escapeHtml(typeLabel)}${note}</span>
+                    <button class="session-action" data-action="clear-day-off" data-date="${date}" title="Remove mark">&#10005;</button>
+                </div>
+            `;
+        }
+
         // Sessions
         sessions.forEach(session => {
             const start = new Date(session.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -126,49 +458,1206 @@ function renderHistory(historyData) {
             // Format duration: X min
             const durMins = Math.ceil(session.duration / 60);
 
+            // Audit badge for time that was not detected automatically
+            let badge = '';
+            if (session.manual) {
+                badge = '<span class="session-badge" title="Added manually">manual</span>';
+            } else if (session.edited) {
+                badge = '<span class="session-badge" title="Edited manually">edited</span>';
+            } else if (session.forced) {
+                badge = '<span class="session-badge" title="Recorded with Force Tracking">forced</span>';
+            }
+
+            let projectChip = '';
+            const projectName = getProjectName(session.project);
+            if (projectName) {
+                projectChip = `<span class="session-project">${escapeHtml(projectName)}</span>`;
+            }
+            const tagsText = (session.tags || []).join(', ');
+
+            // Sessions synced from another device are edited on that device
+            let actions = `
+                <button class="session-action" data-action="edit" title="Edit">&#9998;</button>
+                <button class="session-action" data-action="split" title="Split">&#9986;</button>
+                <button class="session-action" data-action="delete" title="Delete">&#128465;</button>
+            `;
+            if (session.deviceId) {
+                badge += `<span class="session-badge session-device" title="Tracked on another device">${escapeHtml(session.device || 'other device')}</span>`;
+                actions = '';
+            }
+
             html += `
-                <div class="session-row">
-                    <span class="session-time">${start} - ${end}</span>
-                    <span class="session-dur">${durMins}min</span>
+                <div class="session-row" data-start="${session.start}" data-end="${session.end}"
+                     data-project="${escapeHtml(session.project || '')}" data-tags="${escapeHtml(tagsText)}">
+                    <span class="session-time">${start} - ${end}${projectChip}${badge}</span>
+                    <span class="session-actions">${actions}</span>
+                    <span class="session-dur">${durMins}min${dayBilling ? billedHtml(dayBilling.bySession[session.start]) : ''}</span>
                 </div>
             `;
         });
 
-        // Footer: Total
-        const totalMins = Math.floor(total / 60);
-        const hours = Math.floor(totalMins / 60);
-        const mins = totalMins % 60;
+        // Footer: per-project totals (only when projects are in use that day)
+        if (sessions.some(s => s.project)) {
+            const byProject = {};
+            sessions.forEach(s => {
+                const name = getProjectName(s.project) || 'No project';
+                byProject[name] = (byProject[name] || 0) + s.duration;
+            });
+            html += '<div class="project-totals">';
+            Object.keys(byProject).sort().forEach(name => {
+                html += `
+                    <div class="project-total">
+                        <span>${escapeHtml(name)}</span>
+                        <span>${formatDuration(byProject[name])}</span>
+                    </div>
+                `;
+            });
+            html += '</div>';
+        }
 
-        let totalDisplay = `${totalMins}min`;
-        if (hours > 0) {
-            totalDisplay = `${hours}h ${mins}min`;
+        // Footer: per-app breakdown, window titles in the tooltip
+        const dayApps = {};
+        const dayTitles = {};
+        sessions.forEach(s => {
+            Object.keys(s.apps || {}).forEach(app => {
+                dayApps[app] = (dayApps[app] || 0) + s.apps[app];
+            });
+            Object.keys(s.titles || {}).forEach(app => {
+                if (!dayTitles[app]) dayTitles[app] = {};
+                Object.keys(s.titles[app]).forEach(title => {
+                    dayTitles[app][title] = (dayTitles[app][title] || 0) + s.titles[app][title];
+                });
+            });
+        });
+        const appNames = Object.keys(dayApps).sort((a, b) => dayApps[b] - dayApps[a]);
+        if (appNames.length > 0) {
+            const items = appNames.map(app => {
+                const titles = hideWindowTitles ? [] : Object.entries(dayTitles[app] || {})
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, 5)
+                    .map(([title, secs]) => `${title} (${formatShortDuration(secs)})`);
+                const tooltip = titles.length > 0 ? ` title="${escapeHtml(titles.join('\n'))}"` : '';
+                return `<span class="app-usage"${tooltip}>${escapeHtml(app)} ${formatShortDuration(dayApps[app])}</span>`;
+            });
+            html += `<div class="app-breakdown">${items.join(', ')}</div>`;
         }
 
+        // Footer: Total
         html += `
             <div class="day-total">
                 <span>Total:</span>
-                <span>${totalDisplay}</span>
+                <span>${formatDuration(total)}</span>
             </div>
         `;
 
+        if (dayBilling) {
+            html += `
+                <div class="day-total day-billed">
+                    <span>Billed:</span>
+                    <span>${formatDuration(dayBilling.total)}</span>
+                </div>
+            `;
+        }
+
+        if (timeBank && timeBank[date]) {
+            html += `
+                <div class="day-balance">
+                    <span>Balance: ${balanceHtml(timeBank[date].balance)}</span>
+                    <span>Bank: ${balanceHtml(timeBank[date].cumulative)}</span>
+                </div>
+            `;
+        }
+
+        html += `
+            <button class="day-add-session" data-action="add-for-day" data-date="${date}">+ Add session</button>
+        `;
+
         dayContainer.innerHTML = html;
         historyList.appendChild(dayContainer);
     });
 }
 
+// --- Reports ---
+const reportsView = document.getElementById('reports-view');
+const CHART_DAYS = 30;
+
+function parseDateKey(dateKey) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+// Weeks start on Monday; the key is the Monday's date
+function getWeekKey(dateKey) {
+    const date = parseDateKey(dateKey);
+    const offset = (date.getDay() + 6) % 7;
+    date.setDate(date.getDate() - offset);
+    return toDateValue(date);
+}
+
+function sumBy(dayTotals, keyFn) {
+    const totals = {};
+    Object.keys(dayTotals).forEach(dateKey => {
+        const key = keyFn(dateKey);
+        if (!totals[key]) totals[key] = { total: 0, days: 0 };
+        totals[key].total += dayTotals[dateKey].total;
+        if (dayTotals[dateKey].total > 0) totals[key].days++;
+    });
+    return totals;
+}
+
+function formatHours(seconds) {
+    return `${(seconds / 3600).toFixed(1)}h`;
+}
+
+function formatClock(date) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function buildDailyChart(dayTotals) {
+    const width = 300;
+    const height = 120;
+    const barGap = 2;
+    const barWidth = width / CHART_DAYS - barGap;
+
+    const days = [];
+    const today = parseDateKey(getWorkdayKey(new Date()));
+    for (let i = CHART_DAYS - 1; i >= 0; i--) {
+        const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+        const key = toDateValue(date);
+        days.push({ key, date, seconds: dayTotals[key] ? dayTotals[key].total : 0 });
+    }
+
+    // Scale to at least 8h so a short day does not look like a full one
+    const maxHours = Math.max(8, ...days.map(d => d.seconds / 3600));
+    const scale = height / maxHours;
+    const guideY = height - 8 * scale;
+
+    let bars = '';
+    days.forEach((day, i) => {
+        const barHeight = (day.seconds / 3600) * scale;
+        const x = i * (barWidth + barGap);
+        const weekend = day.date.getDay() === 0 || day.date.getDay() === 6;
+        const label = day.date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+        bars += `<rect class="chart-bar${weekend ? ' weekend' : ''}" x="${x.toFixed(1)}" y="${(height - barHeight).toFixed(1)}"
+            width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" rx="1">
+            <title>${label}: ${formatDuration(day.seconds)}</title></rect>`;
+    });
+
+    return `
+        <svg class="chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+            <line class="chart-guide" x1="0" x2="${width}" y1="${guideY.toFixed(1)}" y2="${guideY.toFixed(1)}"></line>
+            ${bars}
+        </svg>
+        <div class="chart-legend">
+            <span>${days[0].date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}</span>
+            <span>dashed line: 8h</span>
+            <span>Today</span>
+        </div>
+    `;
+}
+
+function buildTotalsTable(totals, labelFn, limit) {
+    const keys = Object.keys(totals).sort((a, b) => b.localeCompare(a)).slice(0, limit);
+    let rows = '';
+    keys.forEach(key => {
+        rows += `
+            <div class="report-row">
+                <span>${labelFn(key)}</span>
+                <span class="report-muted">${totals[key].days}d</span>
+                <span>${formatDuration(totals[key].total)}</span>
+            </div>
+        `;
+    });
+    return rows;
+}
+
+function renderReports(dayTotals) {
+    const dateKeys = Object.keys(dayTotals).filter(k => dayTotals[k].total > 0).sort((a, b) => b.localeCompare(a));
+
+    if (dateKeys.length === 0) {
+        reportsView.innerHTML = '<div style="text-align:center; color: #666; padding: 20px;">No data yet</div>';
+        return;
+    }
+
+    const totalSeconds = dateKeys.reduce((acc, k) => acc + dayTotals[k].total, 0);
+    const average = totalSeconds / dateKeys.length;
+
+    const weeks = sumBy(dayTotals, getWeekKey);
+    const months = sumBy(dayTotals, k => k.slice(0, 7));
+
+    let html = `
+        <div class="report-summary">
+            <div><span class="report-value">${formatHours(average)}</span><span class="report-muted">avg / workday</span></div>
+            <div><span class="report-value">${dateKeys.length}</span><span class="report-muted">days worked</span></div>
+            <div><span class="report-value">${formatHours(totalSeconds)}</span><span class="report-muted">total</span></div>
+        </div>
+
+        <div class="day-header">Daily hours (last ${CHART_DAYS} days)</div>
+        ${buildDailyChart(dayTotals)}
+
+        <div class="day-header report-heading">Weeks</div>
+        ${buildTotalsTable(weeks, k => `Week of ${parseDateKey(k).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`, 8)}
+
+        <div class="day-header report-heading">Months</div>
+        ${buildTotalsTable(months, k => parseDateKey(`${k}-01`).toLocaleDateString(undefined, { month: 'long', year: 'numeric' }), 12)}
+
+        <div class="day-header report-heading">Start / End per day</div>
+    `;
+
+    dateKeys.slice(0, 14).forEach(k => {
+        const firstStart = new Date(dayTotals[k].firstStart);
+        const lastEnd = new Date(dayTotals[k].lastEnd);
+        html += `
+            <div class="report-row">
+                <span>${parseDateKey(k).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}</span>
+                <span class="report-muted">${formatClock(firstStart)} - ${formatClock(lastEnd)}</span>
+                <span>${formatDuration(dayTotals[k].total)}</span>
+            </div>
+        `;
+    });
+
+    reportsView.innerHTML = html;
+}
+
+// --- Session Editing ---
+const addSessionBtn = document.getElementById('add-session-btn');
+const addSessionForm = document.getElementById('add-session-form');
+const addSessionDate = document.getElementById('add-session-date');
+const addSessionStart = document.getElementById('add-session-start');
+const addSessionEnd = document.getElementById('add-session-end');
+const addSessionError = document.getElementById('add-session-error');
+
+function pad2(n) {
+    return String(n).padStart(2, '0');
+}
+
+function toDateValue(date) {
+    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+function getWorkdayKey(date) {
+    if (date.getHours() >= dayStartHour) return toDateValue(date);
+    return toDateValue(new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1));
+}
+
+function toTimeValue(iso) {
+    const d = new Date(iso);
+    return `${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+}
+
+// Local YYYY-MM-DD + HH:MM -> ISO string
+function combineDateTime(dateValue, timeValue) {
+    const [y, m, d] = dateValue.split('-').map(Number);
+    const [h, min] = timeValue.split(':').map(Number);
+    return new Date(y, m - 1, d, h, min).toISOString();
+}
+
+// Replace the time of day of an ISO timestamp, keeping it untouched if the time did not change
+function withTime(iso, timeValue) {
+    if (toTimeValue(iso) === timeValue) return iso;
+    return combineDateTime(toDateValue(new Date(iso)), timeValue);
+}
+
+function openAddSessionForm(dateValue) {
+    addSessionDate.value = dateValue || toDateValue(new Date());
+    addSessionStart.value = '';
+    addSessionEnd.value = '';
+    addSessionError.textContent = '';
+    addSessionForm.classList.remove('hidden');
+    addSessionStart.focus();
+}
+
+function closeAddSessionForm() {
+    addSessionForm.classList.add('hidden');
+}
+
+addSessionBtn.addEventListener('click', () => openAddSessionForm());
+document.getElementById('add-session-cancel').addEventListener('click', closeAddSessionForm);
+
+document.getElementById('add-session-save').addEventListener('click', async () => {
+    if (!addSessionDate.value || !addSessionStart.value || !addSessionEnd.value) {
+        addSessionError.textContent = 'Fill in the date, start and end times';
+        return;
+    }
+    const result = await window.electronAPI.addSession({
+        start: combineDateTime(addSessionDate.value, addSessionStart.value),
+        end: combineDateTime(addSessionDate.value, addSessionEnd.value)
+    });
+    if (!result.ok) {
+        addSessionError.textContent = result.error;
+        return;
+    }
+    const date = addSessionDate.value;
+    closeAddSessionForm();
+    // Jump to the session's month when the filters would hide it
+    if ((historyFrom.value && date < historyFrom.value) || (historyTo.value && date > historyTo.value)) {
+        showMonth(date.slice(0, 7));
+    } else {
+        await refreshHistory();
+    }
+});
+
+function buildProjectOptions(selectedId) {
+    let options = '<option value="">No project</option>';
+    projects.forEach(p => {
+        const selected = p.id === selectedId ? ' selected' : '';
+        options += `<option value="${escapeHtml(p.id)}"${selected}>${escapeHtml(p.name)}</option>`;
+    });
+    return options;
+}
+
+function showRowEditor(row, mode) {
+    const { start, end, project, tags } = row.dataset;
+    row.classList.add('editing');
+
+    if (mode === 'edit') {
+        row.innerHTML = `
+            <span class="session-form-times">
+                <input type="time" class="edit-start" value="${toTimeValue(start)}">
+                <span>-</span>
+                <input type="time" class="edit-end" value="${toTimeValue(end)}">
+            </span>
+            <span class="session-actions">
+                <button class="session-action" data-action="save-edit" title="Save">&#10003;</button>
+                <button class="session-action" data-action="cancel" title="Cancel">&#10005;</button>
+            </span>
+            <div class="session-form-times session-form-meta">
+                <select class="edit-project">${buildProjectOptions(project)}</select>
+                <input type="text" class="edit-tags" placeholder="tags" value="${escapeHtml(tags)}">
+            </div>
+            <div class="session-error"></div>
+        `;
+    } else {
+        // Default split point: middle of the session
+        const middle = new Date((new Date(start).getTime() + new Date(end).getTime()) / 2).toISOString();
+        row.innerHTML = `
+            <span class="session-form-times">
+                <span>Split at</span>
+                <input type="time" class="split-at" value="${toTimeValue(middle)}">
+            </span>
+            <span class="session-actions">
+                <button class="session-action" data-action="save-split" title="Split">&#10003;</button>
+                <button class="session-action" data-action="cancel" title="Cancel">&#10005;</button>
+            </span>
+            <div class="session-error"></div>
+        `;
+    }
+}
+
+async function applyRowChange(row, request) {
+    const result = await request;
+    if (!result.ok) {
+        row.querySelector('.session-error').textContent = result.error;
+        return;
+    }
+    await refreshHistory();
+}
+
+historyList.addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const action = button.dataset.action;
+    if (action === 'add-for-day') {
+        openAddSessionForm(button.dataset.date);
+        return;
+    }
+    if (action === 'clear-day-off') {
+        await window.electronAPI.clearDayOff({ date: button.dataset.date });
+        await refreshHistory();
+        return;
+    }
+    if (action === 'load-more') {
+        await loadMoreHistory();
+        return;
+    }
+
+    const row = button.closest('.session-row');
+    const { start, end } = row.dataset;
+
+    if (action === 'edit' || action === 'split') {
+        showRowEditor(row, action);
+    } else if (action === 'cancel') {
+        await refreshHistory();
+    } else if (action === 'delete') {
+        if (confirm(`Delete session ${toTimeValue(start)} - ${toTimeValue(end)}?`)) {
+            await window.electronAPI.deleteSession({ start });
+            await refreshHistory();
+        }
+    } else if (action === 'save-edit') {
+        await applyRowChange(row, window.electronAPI.updateSession({
+            start,
+            newStart: withTime(start, row.querySelector('.edit-start').value),
+            newEnd: withTime(end, row.querySelector('.edit-end').value),
+            project: row.querySelector('.edit-project').value || null,
+            tags: row.querySelector('.edit-tags').value
+        }));
+    } else if (action === 'save-split') {
+        const timeValue = row.querySelector('.split-at').value;
+        let at = withTime(start, timeValue);
+        // Sessions crossing midnight: a split time before the start belongs to the end's day
+        if (new Date(at) <= new Date(start)) {
+            at = withTime(end, timeValue);
+        }
+        await applyRowChange(row, window.electronAPI.splitSession({ start, at }));
+    }
+});
+
+// --- Days Off ---
+const dayOffForm = document.getElementById('day-off-form');
+const dayOffFrom = document.getElementById('day-off-from');
+const dayOffTo = document.getElementById('day-off-to');
+const dayOffType = document.getElementById('day-off-type');
+const dayOffNote = document.getElementById('day-off-note');
+const dayOffStatus = document.getElementById('day-off-status');
+let dayOffTypes = {}; // { type: { label } }, from the main process
+
+document.getElementById('days-off-btn').addEventListener('click', () => {
+    if (!dayOffForm.classList.contains('hidden')) {
+        dayOffForm.classList.add('hidden');
+        return;
+    }
+    dayOffType.innerHTML = Object.keys(dayOffTypes)
+        .map(type => `<option value="${type}">${escapeHtml(dayOffTypes[type].label)}</option>`)
+        .join('');
+    dayOffFrom.value = toDateValue(new Date());
+    dayOffTo.value = '';
+    dayOffNote.value = '';
+    dayOffStatus.textContent = '';
+    dayOffForm.classList.remove('hidden');
+});
+
+document.getElementById('day-off-cancel').addEventListener('click', () => {
+    dayOffForm.classList.add('hidden');
+});
+
+document.getElementById('day-off-save').addEventListener('click', async () => {
+    const result = await window.electronAPI.markDaysOff({
+        from: dayOffFrom.value,
+        to: dayOffTo.value,
+        type: dayOffType.value,
+        note: dayOffNote.value
+    });
+    if (!result.ok) {
+        dayOffStatus.textContent = result.error;
+        return;
+    }
+    dayOffForm.classList.add('hidden');
+    await refreshHistory();
+});
+
+document.getElementById('day-off-import').addEventListener('click', async () => {
+    const result = await window.electronAPI.importHolidays();
+    if (result.ok) {
+        const skipped = result.skipped > 0 ? ` (${result.skipped} already marked)` : '';
+        dayOffStatus.textContent = `Imported ${result.imported} holiday(s)${skipped}`;
+        await refreshHistory();
+    } else {
+        dayOffStatus.textContent = result.canceled ? '' : `Import failed: ${result.error}`;
+    }
+});
+
+// --- Export ---
+const exportForm = document.getElementById('export-form');
+const exportFrom = document.getElementById('export-from');
+const exportTo = document.getElementById('export-to');
+const exportFormat = document.getElementById('export-format');
+const exportStatus = document.getElementById('export-status');
+
+document.getElementById('export-btn').addEventListener('click', () => {
+    if (!exportForm.classList.contains('hidden')) {
+        exportForm.classList.add('hidden');
+        return;
+    }
+    // Default range: current month
+    const now = new Date();
+    exportFrom.value = toDateValue(new Date(now.getFullYear(), now.getMonth(), 1));
+    exportTo.value = toDateValue(now);
+    exportStatus.textContent = '';
+    exportForm.classList.remove('hidden');
+});
+
+document.getElementById('export-cancel').addEventListener('click', () => {
+    exportForm.classList.add('hidden');
+});
+
+document.getElementById('export-save').addEventListener('click', async () => {
+    if (exportFrom.value && exportTo.value && exportFrom.value > exportTo.value) {
+        exportStatus.textContent = 'The start date must be before the end date';
+        return;
+    }
+    exportStatus.textContent = 'Exporting...';
+    const result = await window.electronAPI.exportHistory({
+        from: exportFrom.value,
+        to: exportTo.value,
+        format: exportFormat.value
+    });
+    if (result.ok) {
+        exportStatus.textContent = `Exported ${result.days} day(s) to ${result.filePath}`;
+    } else {
+        exportStatus.textContent = result.canceled ? '' : `Export failed: ${result.error}`;
+    }
+});
+
+// --- Timesheet ---
+const timesheetForm = document.getElementById('timesheet-form');
+const timesheetMonth = document.getElementById('timesheet-month');
+const timesheetName = document.getElementById('timesheet-name');
+const timesheetStatus = document.getElementById('timesheet-status');
+
+document.getElementById('timesheet-btn').addEventListener('click', () => {
+    if (!timesheetForm.classList.contains('hidden')) {
+        timesheetForm.classList.add('hidden');
+        return;
+    }
+    // Default: the current month
+    if (!timesheetMonth.value) timesheetMonth.value = toDateValue(new Date()).slice(0, 7);
+    timesheetStatus.textContent = '';
+    timesheetForm.classList.remove('hidden');
+});
+
+document.getElementById('timesheet-cancel').addEventListener('click', () => {
+    timesheetForm.classList.add('hidden');
+});
+
+document.getElementById('timesheet-save').addEventListener('click', async () => {
+    timesheetStatus.textContent = 'Generating...';
+    const result = await window.electronAPI.generateTimesheet({
+        month: timesheetMonth.value,
+        name: timesheetName.value
+    });
+    if (result.ok) {
+        timesheetStatus.textContent = `Saved to ${result.filePath}`;
+    } else {
+        timesheetStatus.textContent = result.canceled ? '' : `Timesheet failed: ${result.error}`;
+    }
+});
+
 // --- Settings Logic ---
 const settingsBtn = document.getElementById('settings-btn');
 const settingsModal = document.getElementById('settings-modal');
 const closeSettingsBtn = document.getElementById('close-settings');
 const startupToggle = document.getElementById('startup-toggle');
+const rulesProcessesInput = document.getElementById('rules-processes');
+const rulesMatchSelect = document.getElementById('rules-match');
+const rulesIdleInput = document.getElementById('rules-idle');
+const saveRulesBtn = document.getElementById('save-rules');
 
-settingsBtn.addEventListener('click', async () => {
+const projectsListEl = document.getElementById('projects-list');
+
+function addProjectRow(project = { id: '', name: '', tags: [] }) {
+    const row = document.createElement('div');
+    row.className = 'project-row';
+    row.dataset.id = project.id;
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'project-name';
+    nameInput.placeholder = 'Project name';
+    nameInput.value = project.name;
+
+    const tagsInput = document.createElement('input');
+    tagsInput.type = 'text';
+    tagsInput.className = 'project-tags';
+    tagsInput.placeholder = 'tags, comma separated';
+    tagsInput.value = project.tags.join(', ');
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'session-action';
+    removeBtn.title = 'Remove';
+    removeBtn.innerHTML = '&#10005;';
+    removeBtn.addEventListener('click', () => row.remove());
+
+    row.append(nameInput, tagsInput, removeBtn);
+    projectsListEl.appendChild(row);
+    return row;
+}
+
+function fillProjectsForm(list) {
+    projectsListEl.innerHTML = '';
+    list.forEach(project => addProjectRow(project));
+}
+
+document.getElementById('add-project').addEventListener('click', () => {
+    addProjectRow().querySelector('.project-name').focus();
+});
+
+document.getElementById('save-projects').addEventListener('click', async () => {
+    const list = Array.from(projectsListEl.querySelectorAll('.project-row')).map(row => ({
+        id: row.dataset.id || undefined,
+        name: row.querySelector('.project-name').value,
+        tags: row.querySelector('.project-tags').value
+    }));
+    const saved = await window.electronAPI.saveSettings({ projects: list });
+    fillProjectsForm(saved.projects);
+});
+
+// Goals
+const dailyGoalsList = document.getElementById('daily-goals-list');
+
+function addDailyGoalRow(goal = { hours: '', message: '' }) {
+    const row = document.createElement('div');
+    row.className = 'project-row';
+
+    const hoursInput = document.createElement('input');
+    hoursInput.type = 'number';
+    hoursInput.className = 'goal-hours';
+    hoursInput.min = '0.5';
+    hoursInput.max = '24';
+    hoursInput.step = '0.5';
+    hoursInput.value = goal.hours;
+
+    const messageInput = document.createElement('input');
+    messageInput.type = 'text';
+    messageInput.className = 'goal-message';
+    messageInput.placeholder = 'Message';
+    messageInput.value = goal.message;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'session-action';
+    removeBtn.title = 'Remove';
+    removeBtn.innerHTML = '&#10005;';
+    removeBtn.addEventListener('click', () => row.remove());
+
+    row.append(hoursInput, messageInput, removeBtn);
+    dailyGoalsList.appendChild(row);
+    return row;
+}
+
+function fillGoalsForm(goals) {
+    dailyGoalsList.innerHTML = '';
+    goals.daily.forEach(goal => addDailyGoalRow(goal));
+
+    document.getElementById('weekly-goal-enabled').checked = goals.weekly.enabled;
+    document.getElementById('weekly-goal-hours').value = goals.weekly.hours;
+    document.getElementById('weekly-goal-message').value = goals.weekly.message;
+
+    document.getElementById('stop-reminder-enabled').checked = goals.stopReminder.enabled;
+    document.getElementById('stop-reminder-hours').value = goals.stopReminder.hours;
+    document.getElementById('stop-reminder-message').value = goals.stopReminder.message;
+
+    document.getElementById('summary-enabled').checked = goals.endOfDaySummary.enabled;
+    document.getElementById('summary-time').value = goals.endOfDaySummary.time;
+}
+
+document.getElementById('add-daily-goal').addEventListener('click', () => {
+    addDailyGoalRow().querySelector('.goal-hours').focus();
+});
+
+document.getElementById('save-goals').addEventListener('click', async () => {
+    const daily = Array.from(dailyGoalsList.querySelectorAll('.project-row')).map(row => ({
+        hours: Number(row.querySelector('.goal-hours').value),
+        message: row.querySelector('.goal-message').value
+    }));
+    const saved = await window.electronAPI.saveSettings({
+        goals: {
+            daily,
+            weekly: {
+                enabled: document.getElementById('weekly-goal-enabled').checked,
+                hours: Number(document.getElementById('weekly-goal-hours').value),
+                message: document.getElementById('weekly-goal-message').value
+            },
+            stopReminder: {
+                enabled: document.getElementById('stop-reminder-enabled').checked,
+                hours: Number(document.getElementById('stop-reminder-hours').value),
+                message: document.getElementById('stop-reminder-message').value
+            },
+            endOfDaySummary: {
+                enabled: document.getElementById('summary-enabled').checked,
+                time: document.getElementById('summary-time').value
+            }
+        }
+    });
+    fillGoalsForm(saved.goals);
+});
+
+// Idle prompt
+function fillIdlePromptForm(idlePrompt) {
+    document.getElementById('idle-prompt-enabled').checked = idlePrompt.enabled;
+    document.getElementById('idle-prompt-minutes').value = idlePrompt.minGapMinutes;
+    document.getElementById('idle-prompt-tags').value = idlePrompt.tags.join(', ');
+}
+
+document.getElementById('save-idle-prompt').addEventListener('click', async () => {
+    const saved = await window.electronAPI.saveSettings({
+        idlePrompt: {
+            enabled: document.getElementById('idle-prompt-enabled').checked,
+            minGapMinutes: Number(document.getElementById('idle-prompt-minutes').value),
+            tags: document.getElementById('idle-prompt-tags').value
+        }
+    });
+    fillIdlePromptForm(saved.idlePrompt);
+});
+
+// Billing rules
+function fillBillingForm(billing) {
+    document.getElementById('billing-enabled').checked = billing.enabled;
+    document.getElementById('billing-merge-gap').value = billing.mergeGapMinutes;
+    document.getElementById('billing-min-session').value = billing.minSessionSeconds;
+    document.getElementById('billing-round-mode').value = billing.roundMode;
+    document.getElementById('billing-round-minutes').value = billing.roundMinutes;
+    document.getElementById('billing-round-scope').value = billing.roundScope;
+}
+
+document.getElementById('save-billing').addEventListener('click', async () => {
+    const saved = await window.electronAPI.saveSettings({
+        billing: {
+            enabled: document.getElementById('billing-enabled').checked,
+            mergeGapMinutes: Number(document.getElementById('billing-merge-gap').value),
+            minSessionSeconds: Number(document.getElementById('billing-min-session').value),
+            roundMode: document.getElementById('billing-round-mode').value,
+            roundMinutes: Number(document.getElementById('billing-round-minutes').value),
+            roundScope: document.getElementById('billing-round-scope').value
+        }
+    });
+    fillBillingForm(saved.billing);
+});
+
+// Break compliance
+function fillComplianceForm(compliance) {
+    document.getElementById('compliance-enabled').checked = compliance.enabled;
+    document.getElementById('compliance-max-hours').value = compliance.maxContinuousHours;
+    document.getElementById('compliance-break-minutes').value = compliance.minBreakMinutes;
+    document.getElementById('compliance-rest-hours').value = compliance.minRestHours;
+    document.getElementById('compliance-warn-minutes').value = compliance.warnMinutes;
+}
+
+document.getElementById('save-compliance').addEventListener('click', async () => {
+    const saved = await window.electronAPI.saveSettings({
+        compliance: {
+            enabled: document.getElementById('compliance-enabled').checked,
+            maxContinuousHours: Number(document.getElementById('compliance-max-hours').value),
+            minBreakMinutes: Number(document.getElementById('compliance-break-minutes').value),
+            minRestHours: Number(document.getElementById('compliance-rest-hours').value),
+            warnMinutes: Number(document.getElementById('compliance-warn-minutes').value)
+        }
+    });
+    fillComplianceForm(saved.compliance);
+});
+
+// Day boundary
+const workdayStartSelect = document.getElementById('workday-start-hour');
+for (let hour = 0; hour <= 12; hour++) {
+    const option = document.createElement('option');
+    option.value = hour;
+    option.textContent = hour === 0 ? '00:00 (midnight)' : `${pad2(hour)}:00`;
+    workdayStartSelect.appendChild(option);
+}
+
+function fillWorkdayForm(workday) {
+    workdayStartSelect.value = workday.startHour;
+}
+
+document.getElementById('save-workday').addEventListener('click', async () => {
+    const saved = await window.electronAPI.saveSettings({
+        workday: { startHour: Number(workdayStartSelect.value) }
+    });
+    fillWorkdayForm(saved.workday);
+    if (!historyModal.classList.contains('hidden')) refreshHistory();
+});
+
+// App breakdown
+function fillAppTrackingForm(appTracking) {
+    document.getElementById('app-tracking-enabled').checked = appTracking.enabled;
+    document.getElementById('app-tracking-hide-titles').checked = appTracking.hideTitles;
+    document.getElementById('app-tracking-exclude').value = appTracking.exclude.join('\n');
+    document.getElementById('app-tracking-aliases').value = appTracking.aliases
+        .map(alias => `${alias.pattern} = ${alias.name}`)
+        .join('\n');
+}
+
+document.getElementById('save-app-tracking').addEventListener('click', async () => {
+    const aliases = document.getElementById('app-tracking-aliases').value
+        .split('\n')
+        .map(line => line.split('='))
+        .filter(parts => parts.length >= 2)
+        .map(([pattern, ...name]) => ({ pattern: pattern.trim(), name: name.join('=').trim() }));
+    const saved = await window.electronAPI.saveSettings({
+        appTracking: {
+            enabled: document.getElementById('app-tracking-enabled').checked,
+            hideTitles: document.getElementById('app-tracking-hide-titles').checked,
+            exclude: document.getElementById('app-tracking-exclude').value.split(/[\n,]/),
+            aliases
+        }
+    });
+    fillAppTrackingForm(saved.appTracking);
+});
+
+// Time bank
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const timeBankHoursEl = document.getElementById('time-bank-hours');
+
+// Inputs are shown Monday first, stored Sunday first (Date.getDay order)
+function fillTimeBankForm(timeBank) {
+    document.getElementById('time-bank-enabled').checked = timeBank.enabled;
+    document.getElementById('time-bank-start').value = timeBank.startDate;
+    timeBankHoursEl.innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => `
+        <label>
+            ${WEEKDAY_NAMES[day]}
+            <input type="number" data-day="${day}" min="0" max="24" step="0.25" value="${timeBank.expectedHours[day]}">
+        </label>
+    `).join('');
+}
+
+document.getElementById('save-time-bank').addEventListener('click', async () => {
+    const expectedHours = [];
+    timeBankHoursEl.querySelectorAll('input').forEach(input => {
+        expectedHours[Number(input.dataset.day)] = Number(input.value) || 0;
+    });
+    const saved = await window.electronAPI.saveSettings({
+        timeBank: {
+            enabled: document.getElementById('time-bank-enabled').checked,
+            startDate: document.getElementById('time-bank-start').value,
+            expectedHours
+        }
+    });
+    fillTimeBankForm(saved.timeBank);
+});
+
+// Sync folder
+const syncFolderInput = document.getElementById('sync-folder');
+let syncDeviceId = null; // Sent back unchanged so saving doesn't create a new device
+
+async function fillSyncForm(sync) {
+    syncDeviceId = sync.deviceId;
+    document.getElementById('sync-enabled').checked = sync.enabled;
+    syncFolderInput.value = sync.folder;
+    document.getElementById('sync-device-name').value = sync.deviceName;
+
+    const status = await window.electronAPI.getSyncStatus();
+    const names = status.devices.map(d => escapeHtml(d.name)).join(', ');
+    document.getElementById('sync-status').innerHTML = status.enabled
+        ? (status.devices.length > 0 ? `Other devices: ${names}` : 'No other devices in this folder yet')
+        : '';
+}
+
+document.getElementById('choose-sync-folder').addEventListener('click', async () => {
+    const folder = await window.electronAPI.chooseSyncFolder();
+    if (folder) syncFolderInput.value = folder;
+});
+
+document.getElementById('save-sync').addEventListener('click', async () => {
+    const saved = await window.electronAPI.saveSettings({
+        sync: {
+            enabled: document.getElementById('sync-enabled').checked,
+            folder: syncFolderInput.value,
+            deviceId: syncDeviceId,
+            deviceName: document.getElementById('sync-device-name').value
+        }
+    });
+    await fillSyncForm(saved.sync);
+});
+
+// Webhooks
+const webhooksListEl = document.getElementById('webhooks-list');
+const webhooksStatus = document.getElementById('webhooks-status');
+
+function addWebhookRow(webhook = { id: '', enabled: true, url: '', events: [], template: '', secret: '' }) {
+    const row = document.createElement('div');
+    row.className = 'webhook-row';
+    row.dataset.id = webhook.id;
+    row.innerHTML = `
+        <div class="project-row">
+            <input type="checkbox" class="webhook-enabled" title="Enabled">
+            <input type="text" class="webhook-url" placeholder="https://example.com/hook">
+            <button class="session-action webhook-remove" title="Remove">&#10005;</button>
+        </div>
+        <div class="project-row">
+            <input type="text" class="webhook-events" placeholder="Events, comma separated (empty = all)">
+            <input type="password" class="webhook-secret" placeholder="HMAC secret (optional)">
+        </div>
+        <textarea class="webhook-template" rows="3" placeholder='Payload template (optional), e.g. {"text": "{{device}}: {{event}}"}'></textarea>
+    `;
+    row.querySelector('.webhook-enabled').checked = webhook.enabled;
+    row.querySelector('.webhook-url').value = webhook.url;
+    row.querySelector('.webhook-events').value = webhook.events.join(', ');
+    row.querySelector('.webhook-secret').value = webhook.secret;
+    row.querySelector('.webhook-template').value = webhook.template;
+    row.querySelector('.webhook-remove').addEventListener('click', () => row.remove());
+
+    webhooksListEl.appendChild(row);
+    return row;
+}
+
+function fillWebhooksForm(list) {
+    webhooksListEl.innerHTML = '';
+    webhooksStatus.textContent = '';
+    list.forEach(webhook => addWebhookRow(webhook));
+}
+
+document.getElementById('add-webhook').addEventListener('click', () => {
+    addWebhookRow().querySelector('.webhook-url').focus();
+});
+
+document.getElementById('save-webhooks').addEventListener('click', async () => {
+    const rows = Array.from(webhooksListEl.querySelectorAll('.webhook-row'));
+    // The main process drops invalid templates, so catch them before they are lost
+    for (const row of rows) {
+        const template = row.querySelector('.webhook-template').value.trim();
+        if (!template) continue;
+        try {
+            JSON.parse(template);
+        } catch (e) {
+            webhooksStatus.textContent = `Invalid template for ${row.querySelector('.webhook-url').value}: ${e.message}`;
+            return;
+        }
+    }
+
+    const list = rows.map(row => ({
+        id: row.dataset.id || undefined,
+        enabled: row.querySelector('.webhook-enabled').checked,
+        url: row.querySelector('.webhook-url').value,
+        events: row.querySelector('.webhook-events').value,
+        secret: row.querySelector('.webhook-secret').value,
+        template: row.querySelector('.webhook-template').value
+    }));
+    const saved = await window.electronAPI.saveSettings({ webhooks: list });
+    fillWebhooksForm(saved.webhooks);
+});
+
+// Local API
+function fillApiForm(api) {
+    document.getElementById('api-enabled').checked = api.enabled;
+    document.getElementById('api-port').value = api.port;
+    document.getElementById('api-token').value = api.token;
+}
+
+async function saveApiSettings(token) {
+    const saved = await window.electronAPI.saveSettings({
+        api: {
+            enabled: document.getElementById('api-enabled').checked,
+            port: Number(document.getElementById('api-port').value),
+            token
+        }
+    });
+    fillApiForm(saved.api);
+}
+
+document.getElementById('save-api').addEventListener('click', () => {
+    saveApiSettings(document.getElementById('api-token').value);
+});
+
+// An empty token makes the main process generate a new one
+document.getElementById('regenerate-api-token').addEventListener('click', () => {
+    if (confirm('Generate a new token? Scripts using the current one will stop working.')) {
+        saveApiSettings('');
+    }
+});
+
+// Data integrity
+const integrityReport = document.getElementById('integrity-report');
+
+function renderRepairReport(report) {
+    if (!report) {
+        integrityReport.textContent = 'No problems found so far.';
+        return;
+    }
+
+    const checkedAt = new Date(report.checkedAt).toLocaleString();
+    let html = `<div>Last check: ${escapeHtml(checkedAt)} (${report.trigger === 'manual' ? 'manual' : 'at startup'})</div>`;
+    report.migrations.forEach(migration => {
+        html += `<div>Migrated ${escapeHtml(migration)}</div>`;
+    });
+    if (report.issues.length === 0) {
+        html += '<div>No problems found.</div>';
+    } else {
+        html += `<div>${report.issues.length} problem(s) fixed:</div><ul class="integrity-issues">`;
+        html += report.issues
+            .map(issue => `<li title="${escapeHtml(issue.detail)}">${escapeHtml(issue.date)}: ${escapeHtml(issue.label)}</li>`)
+            .join('');
+        html += '</ul>';
+    }
+    if (report.backup) {
+        html += `<div class="integrity-backup">Original file kept at ${escapeHtml(report.backup)}</div>`;
+    }
+    integrityReport.innerHTML = html;
+}
+
+document.getElementById('check-data').addEventListener('click', async () => {
+    const result = await window.electronAPI.checkData();
+    if (!result.ok) {
+        integrityReport.textContent = `Check failed: ${result.error}`;
+        return;
+    }
+    renderRepairReport(result.report);
+    if (result.report.issues.length > 0 && !historyModal.classList.contains('hidden')) {
+        refreshHistory();
+    }
+});
+
+// Diagnostics
+const diagnosticsInfo = document.getElementById('diagnostics-info');
+const diagnosticsTicks = document.getElementById('diagnostics-ticks');
+const diagnosticsErrors = document.getElementById('diagnostics-errors');
+const diagnosticsStatus = document.getElementById('diagnostics-status');
+const logLevelSelect = document.getElementById('log-level');
+
+function renderDiagnostics(info) {
+    diagnosticsInfo.innerHTML = `
+        <div>Idle detection: ${escapeHtml(info.providers.idle)} (${escapeHtml(info.providers.name)})</div>
+        <div>Processes: ${escapeHtml(info.providers.processes)}, foreground window: ${escapeHtml(info.providers.foreground)}</div>
+        <div>Status: ${escapeHtml(info.status)}${info.pendingWebhooks > 0 ? `, ${info.pendingWebhooks} webhook(s) waiting` : ''}</div>
+        <div class="integrity-backup">Log: ${escapeHtml(info.logFile)}</div>`;
+
+    diagnosticsTicks.innerHTML = info.ticks.length === 0
+        ? 'No ticks yet.'
+        : info.ticks.map(tick => {
+            const apps = tick.matched.length > 0 ? tick.matched.join(', ') : (tick.appsOk ? 'any' : 'none');
+            return `<div>${new Date(tick.at).toLocaleTimeString()} idle ${tick.idleSeconds}s (${escapeHtml(tick.idleProvider)}) ` +
+                `apps: ${escapeHtml(apps)} of ${tick.processCount} -> ${escapeHtml(tick.state)}` +
+                `${tick.override ? ` [${escapeHtml(tick.override)}]` : ''} ${tick.durationMs}ms</div>`;
+        }).join('');
+
+    diagnosticsErrors.innerHTML = info.errors.length === 0
+        ? 'No errors.'
+        : info.errors.map(error => `<div class="diagnostics-error" title="${escapeHtml(error.message)}">` +
+            `${new Date(error.at).toLocaleString()} ${escapeHtml(error.message.split('\n')[0])}</div>`).join('');
+}
+
+async function refreshDiagnostics() {
+    renderDiagnostics(await window.electronAPI.getDiagnostics());
+}
+
+document.getElementById('refresh-diagnostics').addEventListener('click', refreshDiagnostics);
+
+document.getElementById('save-logging').addEventListener('click', async () => {
+    const saved = await window.electronAPI.saveSettings({ logging: { level: logLevelSelect.value } });
+    logLevelSelect.value = saved.logging.level;
+    diagnosticsStatus.textContent = `Log level: ${saved.logging.level}`;
+    refreshDiagnostics();
+});
+
+document.getElementById('export-diagnostics').addEventListener('click', async () => {
+    diagnosticsStatus.textContent = 'Exporting...';
+    const result = await window.electronAPI.exportDiagnostics();
+    if (result.ok) {
+        diagnosticsStatus.textContent = `Saved to ${result.filePath}`;
+    } else {
+        diagnosticsStatus.textContent = result.canceled ? '' : `Export failed: ${result.error}`;
+    }
+});
+
+function fillRulesForm(rules) {
+    rulesProcessesInput.value = rules.processes.join('\n');
+    rulesMatchSelect.value = rules.match;
+    rulesIdleInput.value = Math.round(rules.idleThresholdSeconds / 60);
+}
+
+// Profiles
+const profileSelect = document.getElementById('profile-select');
+const profileNameInput = document.getElementById('profile-name');
+const newProfileInput = document.getElementById('new-profile-name');
+const profilesStatus = document.getElementById('profiles-status');
+let profileList = [];
+
+function fillProfilesForm(state) {
+    profileList = state.profiles;
+    profileSelect.innerHTML = '';
+    state.profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.id === state.activeId ? `${profile.name} (active)` : profile.name;
+        profileSelect.appendChild(option);
+    });
+    profileSelect.value = state.activeId;
+    profileNameInput.value = getActiveProfileName(state);
+}
+
+function getActiveProfileName(state) {
+    const profile = state.profiles.find(p => p.id === state.activeId);
+    return profile ? profile.name : '';
+}
+
+function showProfilesResult(result) {
+    profilesStatus.textContent = result.ok ? '' : result.error;
+    return result.ok;
+}
+
+profileSelect.addEventListener('change', () => {
+    const profile = profileList.find(p => p.id === profileSelect.value);
+    profileNameInput.value = profile ? profile.name : '';
+});
+
+document.getElementById('switch-profile').addEventListener('click', async () => {
+    if (showProfilesResult(await window.electronAPI.switchProfile(profileSelect.value))) {
+        await loadSettingsForms();
+    }
+});
+
+document.getElementById('rename-profile').addEventListener('click', async () => {
+    const result = await window.electronAPI.renameProfile({ id: profileSelect.value, name: profileNameInput.value });
+    if (showProfilesResult(result)) fillProfilesForm(result.profiles);
+});
+
+document.getElementById('remove-profile').addEventListener('click', async () => {
+    const profile = profileList.find(p => p.id === profileSelect.value);
+    if (!profile || !confirm(`Delete profile "${profile.name}"? Its files are kept on disk.`)) return;
+    const result = await window.electronAPI.removeProfile(profile.id);
+    if (showProfilesResult(result)) fillProfilesForm(result.profiles);
+});
+
+document.getElementById('add-profile').addEventListener('click', async () => {
+    const result = await window.electronAPI.addProfile(newProfileInput.value);
+    if (showProfilesResult(result)) {
+        newProfileInput.value = '';
+        fillProfilesForm(result.profiles);
+    }
+});
+
+// Profile switched or edited (also from the tray): reload what is on screen
+window.electronAPI.onProfilesUpdated(() => {
+    if (!settingsModal.classList.contains('hidden')) loadSettingsForms();
+    if (!historyModal.classList.contains('hidden')) refreshHistory();
+});
+
+async function loadSettingsForms() {
     // Get current status
     const isEnabled = await window.electronAPI.getStartupStatus();
     startupToggle.checked = isEnabled;
+
+    fillProfilesForm(await window.electronAPI.getProfiles());
+    const settings = await window.electronAPI.getSettings();
+    fillRulesForm(settings.rules);
+    fillProjectsForm(settings.projects);
+    fillGoalsForm(settings.goals);
+    fillIdlePromptForm(settings.idlePrompt);
+    fillWorkdayForm(settings.workday);
+    fillBillingForm(settings.billing);
+    fillComplianceForm(settings.compliance);
+    fillWebhooksForm(settings.webhooks);
+    fillApiForm(settings.api);
+    fillTimeBankForm(settings.timeBank);
+    fillAppTrackingForm(settings.appTracking);
+    fillSyncForm(settings.sync);
+    logLevelSelect.value = settings.logging.level;
+    renderRepairReport(await window.electronAPI.getRepairReport());
+    await refreshDiagnostics();
+}
+
+settingsBtn.addEventListener('click', async () => {
+    await loadSettingsForms();
+    profilesStatus.textContent = '';
+    diagnosticsStatus.textContent = '';
     settingsModal.classList.remove('hidden');
 });
 
+saveRulesBtn.addEventListener('click', async () => {
+    const processes = rulesProcessesInput.value
+        .split(/[\n,]/)
+        .map(p => p.trim())
+        .filter(p => p.length > 0);
+    const idleMinutes = Number(rulesIdleInput.value) || 2;
+
+    const saved = await window.electronAPI.saveSettings({
+        rules: {
+            processes,
+            match: rulesMatchSelect.value,
+            idleThresholdSeconds: idleMinutes * 60
+        }
+    });
+    fillRulesForm(saved.rules);
+});
+
 closeSettingsBtn.addEventListener('click', () => {
     settingsModal.classList.add('hidden');
 });
@@ -177,3 +1666,8 @@ startupToggle.addEventListener('change', async (e) => {
     const newVal = e.target.checked;
     await window.electronAPI.toggleStartup(newVal);
 });
+
+// Kept in sync when launch-on-startup is toggled from the tray
+window.electronAPI.onStartupChanged((enabled) => {
+    startupToggle.checked = enabled;
+});
@@ -0,0 +1,86 @@
+// Billing rules: post-processing of a day's sessions for display and export.
+// The stored sessions are never changed. Applied in this order:
+//   1. sessions separated by less than mergeGapMinutes are merged (the gap counts as worked)
+//   2. merged sessions shorter than minSessionSeconds are dropped
+//   3. each session, or only the day total (roundScope 'day'), is rounded
+//      up, down or to the nearest roundMinutes
+
+const ROUND_MODES = ['none', 'up', 'down', 'nearest'];
+const ROUND_SCOPES = ['session', 'day'];
+
+function roundSeconds(seconds, mode, minutes) {
+    const step = minutes * 60;
+    if (mode === 'none' || step <= 0) return seconds;
+    if (mode === 'up') return Math.ceil(seconds / step) * step;
+    if (mode === 'down') return Math.floor(seconds / step) * step;
+    return Math.round(seconds / step) * step;
+}
+
+// sessions: one day's raw sessions, any order.
+// Returns { sessions: [{ start, end, duration, billed, sources: [raw start] }], dropped, total }
+// where total is the billed day total. With roundScope 'day' the sessions' billed
+// values are not rounded, only the total.
+function applyBillingRules(billing, sessions) {
+    const gapMs = billing.mergeGapMinutes * 60 * 1000;
+    const merged = [];
+
+    sessions
+        .filter(s => s.start && s.end)
+        .slice()
+        .sort((a, b) => new Date(a.start) - new Date(b.start))
+        .forEach(session => {
+            const startMs = new Date(session.start).getTime();
+            const endMs = new Date(session.end).getTime();
+            const last = merged[merged.length - 1];
+            if (last && startMs - last.endMs < gapMs) {
+                last.endMs = Math.max(last.endMs, endMs);
+                last.sources.push(session.start);
+            } else {
+                merged.push({ startMs, endMs, sources: [session.start] });
+            }
+        });
+
+    const kept = merged
+        .map(block => ({
+            start: new Date(block.startMs).toISOString(),
+            end: new Date(block.endMs).toISOString(),
+            duration: Math.floor((block.endMs - block.startMs) / 1000),
+            sources: block.sources
+        }))
+        .filter(block => block.duration >= billing.minSessionSeconds);
+
+    const roundEach = billing.roundScope === 'session';
+    kept.forEach(block => {
+        block.billed = roundEach ? roundSeconds(block.duration, billing.roundMode, billing.roundMinutes) : block.duration;
+    });
+    const sum = kept.reduce((acc, block) => acc + block.billed, 0);
+
+    return {
+        sessions: kept,
+        dropped: merged.length - kept.length,
+        total: roundEach ? sum : roundSeconds(sum, billing.roundMode, billing.roundMinutes)
+    };
+}
+
+// Raw session start -> { billed, status }: the merged session's value on its first
+// source ('billed'), 0 on the other sources ('merged') and on dropped sessions ('dropped')
+function getBilledBySession(result, sessions) {
+    const billed = {};
+    sessions.forEach(session => {
+        billed[session.start] = { billed: 0, status: 'dropped' };
+    });
+    result.sessions.forEach(block => {
+        block.sources.forEach((start, i) => {
+            billed[start] = i === 0 ? { billed: block.billed, status: 'billed' } : { billed: 0, status: 'merged' };
+        });
+    });
+    return billed;
+}
+
+module.exports = {
+    ROUND_MODES,
+    ROUND_SCOPES,
+    roundSeconds,
+    applyBillingRules,
+    getBilledBySession
+};
@@ -0,0 +1,50 @@
+// Activity rules engine: decides whether the user is "working" based on
+// which processes are running and how long the machine has been idle.
+
+// Windows reports "chrome.exe", other platforms just "chrome"; compare without the suffix
+function stripExe(name) {
+    return name.replace(/\.exe$/i, '');
+}
+
+// Supports * (any characters) and ? (single character), case-insensitive
+function wildcardToRegExp(pattern) {
+    const escaped = stripExe(pattern.trim())
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+function matchesPattern(processName, pattern) {
+    return wildcardToRegExp(pattern).test(stripExe(processName));
+}
+
+function evaluateRules(rules, runningProcesses, idleSeconds) {
+    const matched = rules.processes.filter(pattern =>
+        runningProcesses.some(name => matchesPattern(name, pattern))
+    );
+
+    let appsOk;
+    if (rules.processes.length === 0) {
+        // No apps configured: any computer activity counts
+        appsOk = true;
+    } else if (rules.match === 'all') {
+        appsOk = matched.length === rules.processes.length;
+    } else {
+        appsOk = matched.length > 0;
+    }
+
+    const isIdle = idleSeconds >= rules.idleThresholdSeconds;
+
+    return {
+        appsOk,
+        isIdle,
+        matched,
+        isWorking: appsOk && !isIdle
+    };
+}
+
+module.exports = {
+    matchesPattern,
+    evaluateRules
+};
@@ -0,0 +1,51 @@
+// Data file schema. Since version 2 the file is an envelope:
+//   { "schemaVersion": 2, "days": { "YYYY-MM-DD": { total, sessions, ... } } }
+// Version 1 (no envelope) is the original bare map of date key -> day entry.
+// The rest of the app only ever sees the "days" map.
+
+const SCHEMA_VERSION = 2;
+
+// Each migration takes the days map of the previous version and returns the next one
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Wrap the day map in a versioned envelope',
+        migrate: days => days
+    }
+];
+
+function getSchemaVersion(raw) {
+    if (raw && typeof raw === 'object' && Number.isInteger(raw.schemaVersion) && raw.days && typeof raw.days === 'object') {
+        return raw.schemaVersion;
+    }
+    return 1;
+}
+
+// Parsed file contents -> { days, fromVersion, applied: [descriptions] }.
+// Files written by a newer version are read as they are, without migrating.
+function migrateData(raw) {
+    const fromVersion = getSchemaVersion(raw);
+    let days = fromVersion === 1 ? (raw && typeof raw === 'object' ? raw : {}) : raw.days;
+
+    const applied = [];
+    MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .sort((a, b) => a.version - b.version)
+        .forEach(migration => {
+            days = migration.migrate(days);
+            applied.push(`v${migration.version}: ${migration.description}`);
+        });
+
+    return { days, fromVersion, applied };
+}
+
+function wrapData(days) {
+    return { schemaVersion: SCHEMA_VERSION, days };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    getSchemaVersion,
+    migrateData,
+    wrapData
+};
@@ -0,0 +1,83 @@
+// Helpers for reading and changing the sessions stored in the data file.
+// The data file is a map of date key (YYYY-MM-DD) -> { total, sessions }.
+// A session is identified by its start timestamp (ISO string), sessions never overlap.
+
+const MAX_SESSION_SECONDS = 24 * 60 * 60;
+
+function buildSession(startMs, endMs, extra = {}) {
+    return {
+        start: new Date(startMs).toISOString(),
+        end: new Date(endMs).toISOString(),
+        duration: Math.floor((endMs - startMs) / 1000),
+        ...extra
+    };
+}
+
+function flattenSessions(allData) {
+    const list = [];
+    Object.keys(allData).forEach(dateKey => {
+        const dayData = allData[dateKey];
+        if (!dayData || !Array.isArray(dayData.sessions)) return;
+        dayData.sessions.forEach((session, index) => {
+            list.push({ dateKey, index, session });
+        });
+    });
+    return list;
+}
+
+function findSession(allData, startIso) {
+    return flattenSessions(allData).find(entry => entry.session.start === startIso) || null;
+}
+
+function recalculateTotal(dayData) {
+    dayData.total = dayData.sessions.reduce((acc, s) => acc + s.duration, 0);
+}
+
+function removeSession(allData, startIso) {
+    const entry = findSession(allData, startIso);
+    if (!entry) return null;
+    const dayData = allData[entry.dateKey];
+    dayData.sessions.splice(entry.index, 1);
+    recalculateTotal(dayData);
+    return entry.session;
+}
+
+function insertSession(allData, session, dateKey) {
+    if (!allData[dateKey] || typeof allData[dateKey] !== 'object') {
+        allData[dateKey] = { total: 0, sessions: [] };
+    }
+    const dayData = allData[dateKey];
+    if (!Array.isArray(dayData.sessions)) dayData.sessions = [];
+    dayData.sessions.push(session);
+    dayData.sessions.sort((a, b) => new Date(a.start) - new Date(b.start));
+    recalculateTotal(dayData);
+}
+
+// Returns an error message, or null if the range is acceptable
+function validateSessionRange(startMs, endMs, nowMs = Date.now()) {
+    if (isNaN(startMs) || isNaN(endMs)) return 'Invalid date or time';
+    if (endMs <= startMs) return 'End time must be after start time';
+    if (endMs > nowMs) return 'Sessions cannot end in the future';
+    if ((endMs - startMs) / 1000 > MAX_SESSION_SECONDS) return 'Sessions cannot be longer than 24 hours';
+    return null;
+}
+
+// ranges: array of { start, end } (ISO strings or ms)
+function findOverlap(ranges, startMs, endMs) {
+    return ranges.find(r => {
+        const rStart = new Date(r.start).getTime();
+        const rEnd = new Date(r.end).getTime();
+        return rStart < endMs && startMs < rEnd;
+    }) || null;
+}
+
+module.exports = {
+    buildSession,
+    flattenSessions,
+    findSession,
+    removeSession,
+    insertSession,
+    recalculateTotal,
+    validateSessionRange,
+    findOverlap
+};
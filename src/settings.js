@@ -0,0 +1,382 @@
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('./storage');
+const { getLocalDateKey } = require('./history');
+const { ROUND_MODES, ROUND_SCOPES } = require('./rounding');
+const { EVENTS: WEBHOOK_EVENTS } = require('./webhooks');
+const { LEVELS: LOG_LEVELS } = require('./logger');
+
+// Defaults mirror the original hard-coded behaviour: Chrome open + 2 minutes idle
+const DEFAULT_SETTINGS = {
+    rules: {
+        processes: ['chrome.exe'],
+        match: 'any', // 'any' | 'all'
+        idleThresholdSeconds: 120
+    },
+    projects: [], // Array of { id, name, tags: [] }
+    activeProjectId: null,
+    goals: {
+        // Defaults mirror the original 6h/8h/10h notifications
+        daily: [
+            { hours: 6, message: 'You have worked 6 hours today!' },
+            { hours: 8, message: 'You have worked 8 hours today!' },
+            { hours: 10, message: 'You have worked 10 hours today!' }
+        ],
+        weekly: { enabled: false, hours: 40, message: 'Weekly goal reached!' },
+        stopReminder: { enabled: false, hours: 9, message: 'Time to stop for today!' },
+        endOfDaySummary: { enabled: false, time: '18:00' }
+    },
+    // Ask what to do with idle gaps longer than this when activity resumes
+    idlePrompt: {
+        enabled: true,
+        minGapMinutes: 15,
+        tags: ['meeting', 'call', 'reading']
+    },
+    // Local HTTP API for scripts and the CLI (opt-in, localhost only)
+    api: {
+        enabled: false,
+        port: 7847,
+        token: null // Generated on first load
+    },
+    // Time bank (banco de horas): balance of worked vs expected hours since startDate
+    timeBank: {
+        enabled: false,
+        startDate: null, // YYYY-MM-DD, defaults to the day it is first loaded
+        expectedHours: [0, 8, 8, 8, 8, 8, 0] // Indexed by weekday, Sunday first
+    },
+    // Per-app breakdown from the foreground window. Patterns work like the activity rules.
+    appTracking: {
+        enabled: true,
+        hideTitles: false,
+        exclude: [],
+        aliases: [
+            { pattern: 'chrome', name: 'Chrome' },
+            { pattern: 'code', name: 'VS Code' },
+            { pattern: 'msedge', name: 'Edge' },
+            { pattern: 'firefox', name: 'Firefox' }
+        ]
+    },
+    // Billing rules applied to the History and exports, never to the stored sessions (see rounding.js)
+    billing: {
+        enabled: false,
+        mergeGapMinutes: 0,
+        minSessionSeconds: 0,
+        roundMode: 'none', // 'none' | 'up' | 'down' | 'nearest'
+        roundMinutes: 15,
+        roundScope: 'session' // 'session' | 'day'
+    },
+    // Break rules (CLT): warnings in real time and flags in the History (see compliance.js)
+    compliance: {
+        enabled: false,
+        maxContinuousHours: 6,
+        minBreakMinutes: 60,
+        minRestHours: 11,
+        warnMinutes: 15 // Heads-up before the limit, 0 = off
+    },
+    // Outgoing webhooks: array of { id, enabled, url, events: [] (all), template, secret } (see webhooks.js)
+    webhooks: [],
+    // Hour when a new day starts: sessions before it count for the previous day
+    workday: {
+        startHour: 0 // 0-12, 0 = midnight
+    },
+    // Lowest level written to the debug log; 'debug' adds one line per tracking tick
+    logging: {
+        level: 'info' // 'debug' | 'info' | 'warn' | 'error'
+    },
+    // Shared folder where each device writes its own history (see sync.js)
+    sync: {
+        enabled: false,
+        folder: '',
+        deviceId: null, // Generated on first load
+        deviceName: null // Defaults to the computer name
+    }
+};
+
+function generateId(prefix) {
+    return `${prefix}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Accepts an array or a comma separated string
+function normalizeTags(raw) {
+    const list = Array.isArray(raw) ? raw : (typeof raw === 'string' ? raw.split(',') : []);
+    const tags = list
+        .filter(t => typeof t === 'string')
+        .map(t => t.trim())
+        .filter(t => t.length > 0);
+    return Array.from(new Set(tags));
+}
+
+function normalizeRules(raw = {}) {
+    const defaults = DEFAULT_SETTINGS.rules;
+
+    let processes = Array.isArray(raw.processes) ? raw.processes : defaults.processes;
+    processes = processes
+        .filter(p => typeof p === 'string')
+        .map(p => p.trim())
+        .filter(p => p.length > 0);
+    // Remove duplicates (case-insensitive), keeping the first spelling
+    processes = processes.filter((p, i) => processes.findIndex(o => o.toLowerCase() === p.toLowerCase()) === i);
+
+    const match = raw.match === 'all' ? 'all' : 'any';
+
+    let idleThresholdSeconds = Number(raw.idleThresholdSeconds);
+    if (!Number.isFinite(idleThresholdSeconds) || idleThresholdSeconds < 10) {
+        idleThresholdSeconds = defaults.idleThresholdSeconds;
+    }
+
+    return {
+        processes,
+        match,
+        idleThresholdSeconds: Math.round(idleThresholdSeconds)
+    };
+}
+
+function normalizeProjects(raw) {
+    if (!Array.isArray(raw)) return [];
+
+    const seen = new Set();
+    return raw
+        .filter(p => p && typeof p.name === 'string' && p.name.trim().length > 0)
+        .map(p => ({
+            id: typeof p.id === 'string' && p.id ? p.id : generateId('p'),
+            name: p.name.trim(),
+            tags: normalizeTags(p.tags)
+        }))
+        .filter(p => {
+            if (seen.has(p.id)) return false;
+            seen.add(p.id);
+            return true;
+        });
+}
+
+function normalizeHours(value, fallback) {
+    const hours = Number(value);
+    return Number.isFinite(hours) && hours > 0 && hours <= 168 ? Math.round(hours * 100) / 100 : fallback;
+}
+
+function normalizeMessage(value, fallback) {
+    return typeof value === 'string' && value.trim().length > 0 ? value.trim() : fallback;
+}
+
+function normalizeGoals(raw = {}) {
+    const defaults = DEFAULT_SETTINGS.goals;
+
+    let daily = Array.isArray(raw.daily) ? raw.daily : defaults.daily;
+    daily = daily
+        .filter(goal => goal && normalizeHours(goal.hours, null) !== null && goal.hours <= 24)
+        .map(goal => {
+            const hours = normalizeHours(goal.hours, null);
+            return { hours, message: normalizeMessage(goal.message, `You have worked ${hours} hours today!`) };
+        })
+        // One goal per hour mark, they are identified by it
+        .filter((goal, i, list) => list.findIndex(g => g.hours === goal.hours) === i)
+        .sort((a, b) => a.hours - b.hours);
+
+    const weekly = raw.weekly || {};
+    const stopReminder = raw.stopReminder || {};
+    const summary = raw.endOfDaySummary || {};
+
+    return {
+        daily,
+        weekly: {
+            enabled: weekly.enabled === true,
+            hours: normalizeHours(weekly.hours, defaults.weekly.hours),
+            message: normalizeMessage(weekly.message, defaults.weekly.message)
+        },
+        stopReminder: {
+            enabled: stopReminder.enabled === true,
+            hours: Math.min(24, normalizeHours(stopReminder.hours, defaults.stopReminder.hours)),
+            message: normalizeMessage(stopReminder.message, defaults.stopReminder.message)
+        },
+        endOfDaySummary: {
+            enabled: summary.enabled === true,
+            time: /^([01]\d|2[0-3]):[0-5]\d$/.test(summary.time) ? summary.time : defaults.endOfDaySummary.time
+        }
+    };
+}
+
+function normalizeIdlePrompt(raw = {}) {
+    const defaults = DEFAULT_SETTINGS.idlePrompt;
+
+    let minGapMinutes = Number(raw.minGapMinutes);
+    if (!Number.isFinite(minGapMinutes) || minGapMinutes < 1) {
+        minGapMinutes = defaults.minGapMinutes;
+    }
+
+    return {
+        enabled: raw.enabled !== undefined ? raw.enabled === true : defaults.enabled,
+        minGapMinutes: Math.round(minGapMinutes),
+        tags: raw.tags !== undefined ? normalizeTags(raw.tags) : defaults.tags.slice()
+    };
+}
+
+function normalizeApi(raw = {}) {
+    const port = Number(raw.port);
+    return {
+        enabled: raw.enabled === true,
+        port: Number.isInteger(port) && port >= 1024 && port <= 65535 ? port : DEFAULT_SETTINGS.api.port,
+        token: typeof raw.token === 'string' && raw.token.length >= 16 ? raw.token : crypto.randomBytes(24).toString('hex')
+    };
+}
+
+function normalizeTimeBank(raw = {}) {
+    const defaults = DEFAULT_SETTINGS.timeBank;
+    const expected = Array.isArray(raw.expectedHours) && raw.expectedHours.length === 7 ? raw.expectedHours : defaults.expectedHours;
+
+    return {
+        enabled: raw.enabled === true,
+        startDate: /^\d{4}-\d{2}-\d{2}$/.test(raw.startDate) ? raw.startDate : getLocalDateKey(new Date()),
+        expectedHours: expected.map((value, i) => {
+            const hours = Number(value);
+            return Number.isFinite(hours) && hours >= 0 && hours <= 24 ? Math.round(hours * 100) / 100 : defaults.expectedHours[i];
+        })
+    };
+}
+
+function normalizeAppTracking(raw = {}) {
+    const defaults = DEFAULT_SETTINGS.appTracking;
+
+    const aliases = Array.isArray(raw.aliases) ? raw.aliases : defaults.aliases;
+    return {
+        enabled: raw.enabled !== undefined ? raw.enabled === true : defaults.enabled,
+        hideTitles: raw.hideTitles === true,
+        exclude: raw.exclude !== undefined ? normalizeTags(raw.exclude) : defaults.exclude.slice(),
+        aliases: aliases
+            .filter(a => a && typeof a.pattern === 'string' && typeof a.name === 'string')
+            .map(a => ({ pattern: a.pattern.trim(), name: a.name.trim() }))
+            .filter(a => a.pattern.length > 0 && a.name.length > 0)
+    };
+}
+
+function normalizeSync(raw = {}) {
+    const folder = typeof raw.folder === 'string' ? raw.folder.trim() : '';
+    const deviceName = typeof raw.deviceName === 'string' ? raw.deviceName.trim() : '';
+    return {
+        // Can't sync without a folder
+        enabled: raw.enabled === true && folder.length > 0,
+        folder,
+        deviceId: typeof raw.deviceId === 'string' && /^[a-z0-9-]{8,}$/.test(raw.deviceId) ? raw.deviceId : generateId('d'),
+        deviceName: deviceName || os.hostname()
+    };
+}
+
+function normalizeBilling(raw = {}) {
+    const defaults = DEFAULT_SETTINGS.billing;
+    const number = (value, fallback, min) => {
+        const n = Number(value);
+        return Number.isFinite(n) && n >= min ? Math.round(n) : fallback;
+    };
+
+    return {
+        enabled: raw.enabled === true,
+        mergeGapMinutes: number(raw.mergeGapMinutes, defaults.mergeGapMinutes, 0),
+        minSessionSeconds: number(raw.minSessionSeconds, defaults.minSessionSeconds, 0),
+        roundMode: ROUND_MODES.includes(raw.roundMode) ? raw.roundMode : defaults.roundMode,
+        roundMinutes: number(raw.roundMinutes, defaults.roundMinutes, 1),
+        roundScope: ROUND_SCOPES.includes(raw.roundScope) ? raw.roundScope : defaults.roundScope
+    };
+}
+
+function normalizeCompliance(raw = {}) {
+    const defaults = DEFAULT_SETTINGS.compliance;
+    const number = (value, fallback, min) => {
+        const n = Number(value);
+        return Number.isFinite(n) && n >= min ? n : fallback;
+    };
+
+    return {
+        enabled: raw.enabled === true,
+        maxContinuousHours: number(raw.maxContinuousHours, defaults.maxContinuousHours, 0.5),
+        minBreakMinutes: Math.round(number(raw.minBreakMinutes, defaults.minBreakMinutes, 1)),
+        minRestHours: number(raw.minRestHours, defaults.minRestHours, 0),
+        warnMinutes: Math.round(number(raw.warnMinutes, defaults.warnMinutes, 0))
+    };
+}
+
+function isJson(text) {
+    try {
+        JSON.parse(text);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function normalizeWebhooks(raw) {
+    if (!Array.isArray(raw)) return [];
+
+    return raw
+        .filter(w => w && typeof w.url === 'string' && /^https?:\/\/\S+$/i.test(w.url.trim()))
+        .map(w => {
+            const template = typeof w.template === 'string' ? w.template.trim() : '';
+            return {
+                id: typeof w.id === 'string' && w.id ? w.id : generateId('w'),
+                enabled: w.enabled !== false,
+                url: w.url.trim(),
+                events: normalizeTags(w.events).filter(event => WEBHOOK_EVENTS.includes(event)),
+                // An invalid template falls back to the default payload
+                template: template && isJson(template) ? template : '',
+                secret: typeof w.secret === 'string' ? w.secret : ''
+            };
+        });
+}
+
+function normalizeWorkday(raw = {}) {
+    const startHour = Number(raw.startHour);
+    return {
+        startHour: Number.isInteger(startHour) && startHour >= 0 && startHour <= 12
+            ? startHour
+            : DEFAULT_SETTINGS.workday.startHour
+    };
+}
+
+function normalizeLogging(raw = {}) {
+    return {
+        level: LOG_LEVELS.includes(raw.level) ? raw.level : DEFAULT_SETTINGS.logging.level
+    };
+}
+
+function normalizeSettings(raw = {}) {
+    const projects = normalizeProjects(raw.projects);
+    // The active project must still exist
+    const activeProjectId = projects.some(p => p.id === raw.activeProjectId) ? raw.activeProjectId : null;
+
+    return {
+        rules: normalizeRules(raw.rules),
+        projects,
+        activeProjectId,
+        goals: normalizeGoals(raw.goals),
+        idlePrompt: normalizeIdlePrompt(raw.idlePrompt),
+        api: normalizeApi(raw.api),
+        timeBank: normalizeTimeBank(raw.timeBank),
+        appTracking: normalizeAppTracking(raw.appTracking),
+        billing: normalizeBilling(raw.billing),
+        compliance: normalizeCompliance(raw.compliance),
+        webhooks: normalizeWebhooks(raw.webhooks),
+        workday: normalizeWorkday(raw.workday),
+        logging: normalizeLogging(raw.logging),
+        sync: normalizeSync(raw.sync)
+    };
+}
+
+function loadSettings(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return normalizeSettings();
+    }
+    return normalizeSettings(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+function saveSettings(filePath, settings) {
+    const normalized = normalizeSettings(settings);
+    writeJsonAtomic(filePath, normalized);
+    return normalized;
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    normalizeSettings,
+    normalizeTags,
+    loadSettings,
+    saveSettings
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+
+// Number of rotating backups kept next to the data file (file.bak1 is the newest)
+const BACKUP_COUNT = 3;
+
+function backupPath(filePath, n) {
+    return `${filePath}.bak${n}`;
+}
+
+// Shift file.bak1 -> file.bak2 ... and copy the current file to file.bak1
+function rotateBackups(filePath, count) {
+    for (let n = count - 1; n >= 1; n--) {
+        if (fs.existsSync(backupPath(filePath, n))) {
+            fs.renameSync(backupPath(filePath, n), backupPath(filePath, n + 1));
+        }
+    }
+    fs.copyFileSync(filePath, backupPath(filePath, 1));
+}
+
+// Write to a temp file, flush it to disk and rename it over the target, so a
+// crash leaves either the old or the new file, never a half-written one.
+function writeJsonAtomic(filePath, data, { backups = 0 } = {}) {
+    const tmpPath = `${filePath}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+        fs.writeSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    if (backups > 0 && fs.existsSync(filePath)) {
+        rotateBackups(filePath, backups);
+    }
+    fs.renameSync(tmpPath, filePath);
+}
+
+// Read a JSON file, falling back to its backups if it is missing or corrupt.
+// Returns { data, source } (source is the path actually read), or null if
+// neither the file nor any backup exists. Throws if nothing could be parsed.
+function readJsonWithBackup(filePath, backups = BACKUP_COUNT) {
+    const candidates = [filePath];
+    for (let n = 1; n <= backups; n++) candidates.push(backupPath(filePath, n));
+
+    let firstError = null;
+    let found = false;
+    for (const candidate of candidates) {
+        if (!fs.existsSync(candidate)) continue;
+        found = true;
+        try {
+            return { data: JSON.parse(fs.readFileSync(candidate, 'utf8')), source: candidate };
+        } catch (e) {
+            if (!firstError) firstError = e;
+        }
+    }
+
+    if (!found) return null;
+    throw firstError;
+}
+
+module.exports = {
+    BACKUP_COUNT,
+    writeJsonAtomic,
+    readJsonWithBackup
+};
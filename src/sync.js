@@ -0,0 +1,180 @@
+// Multi-device sync through a shared folder (Dropbox, Syncthing, network share).
+// Every device writes its own history to <folder>/time-tracker-<deviceId>.json
+// and reads the other devices' files; nothing is ever written to another
+// device's file, so the sync tool never has to resolve conflicts.
+//
+// When merging, this device's sessions are kept as they are. Sessions from
+// other devices only keep the time not already covered (the same hour tracked
+// on two machines counts once) and are tagged with { device, deviceId }.
+
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./storage');
+const { scaleSessionApps } = require('./apps');
+
+const FILE_PREFIX = 'time-tracker-';
+
+function getDeviceFilePath(folder, deviceId) {
+    return path.join(folder, `${FILE_PREFIX}${deviceId}.json`);
+}
+
+// Only finished sessions and days off are shared; running state stays local
+function writeDeviceFile(folder, device, allData) {
+    const days = {};
+    Object.keys(allData).forEach(dateKey => {
+        const day = allData[dateKey];
+        if (!day || !Array.isArray(day.sessions)) return;
+        days[dateKey] = { total: day.total, sessions: day.sessions };
+        if (day.dayOff) days[dateKey].dayOff = day.dayOff;
+    });
+    writeJsonAtomic(getDeviceFilePath(folder, device.id), {
+        device: { id: device.id, name: device.name },
+        updatedAt: new Date().toISOString(),
+        days
+    });
+}
+
+// [{ device: { id, name }, updatedAt, days }] for every other device in the folder.
+// Unreadable files (e.g. mid-sync) are skipped and reported through log.
+function readOtherDevices(folder, deviceId, log) {
+    const ownFile = path.basename(getDeviceFilePath(folder, deviceId));
+    return fs.readdirSync(folder)
+        .filter(name => name.startsWith(FILE_PREFIX) && name.endsWith('.json') && name !== ownFile)
+        .map(name => {
+            try {
+                const data = JSON.parse(fs.readFileSync(path.join(folder, name), 'utf8'));
+                if (!data.device || !data.device.id || !data.days) throw new Error('not a device file');
+                return data;
+            } catch (e) {
+                log(`Sync: skipping ${name}: ${e.message}`);
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+// Sorted, non-overlapping copy of ranges: one sort and one sweep
+function mergeRanges(ranges) {
+    const merged = [];
+    ranges
+        .filter(r => r.start < r.end)
+        .sort((a, b) => a.start - b.start)
+        .forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ start: range.start, end: range.end });
+            }
+        });
+    return merged;
+}
+
+// Parts of [startMs, endMs) not covered by the (sorted, non-overlapping) ranges,
+// looking from ranges[from] on
+function subtractRanges(startMs, endMs, ranges, from = 0) {
+    const pieces = [];
+    let cursor = startMs;
+    for (let i = from; i < ranges.length && ranges[i].start < endMs; i++) {
+        if (ranges[i].end <= cursor) continue;
+        if (ranges[i].start > cursor) pieces.push({ start: cursor, end: ranges[i].start });
+        cursor = Math.max(cursor, ranges[i].end);
+    }
+    if (cursor < endMs) pieces.push({ start: cursor, end: endMs });
+    return pieces;
+}
+
+// Calls onPiece(item, piece) for every part of each item's range covered neither
+// by the base ranges nor by an earlier item. items: [{ range, ... }] sorted by range start.
+// Since items come in start order, the time they already covered is the span up to
+// the latest end seen, so a single pass is enough.
+function forEachUncovered(baseRanges, items, onPiece) {
+    const covered = mergeRanges(baseRanges);
+    let first = 0;
+    let itemsEnd = -Infinity;
+    items.forEach(item => {
+        const { start, end } = item.range;
+        while (first < covered.length && covered[first].end <= start) first++;
+        subtractRanges(Math.max(start, itemsEnd), end, covered, first).forEach(piece => onPiece(item, piece));
+        itemsEnd = Math.max(itemsEnd, end);
+    });
+}
+
+function toRange(session) {
+    return { start: new Date(session.start).getTime(), end: new Date(session.end).getTime() };
+}
+
+// Local data merged with the other devices' days (see the header comment)
+function mergeDevices(localData, remotes) {
+    const merged = {};
+    const covered = [];
+
+    Object.keys(localData).forEach(dateKey => {
+        const day = localData[dateKey];
+        if (!day || typeof day !== 'object') return;
+        const sessions = Array.isArray(day.sessions) ? day.sessions.slice() : [];
+        merged[dateKey] = { ...day, sessions };
+        sessions.filter(s => s.start && s.end).forEach(s => covered.push(toRange(s)));
+    });
+
+    // Oldest sessions first so a later duplicate is the one trimmed
+    const remoteSessions = [];
+    remotes.forEach(remote => {
+        Object.keys(remote.days).forEach(dateKey => {
+            const day = remote.days[dateKey];
+            if (!day || !Array.isArray(day.sessions)) return;
+            if (!merged[dateKey]) merged[dateKey] = { total: 0, sessions: [] };
+            if (day.dayOff && !merged[dateKey].dayOff) merged[dateKey].dayOff = day.dayOff;
+            day.sessions
+                .filter(s => s.start && s.end)
+                .forEach(session => remoteSessions.push({ dateKey, device: remote.device, session, range: toRange(session) }));
+        });
+    });
+    remoteSessions.sort((a, b) => a.range.start - b.range.start);
+
+    forEachUncovered(covered, remoteSessions, ({ dateKey, device, session, range }, piece) => {
+        const duration = Math.floor((piece.end - piece.start) / 1000);
+        if (duration <= 0) return;
+
+        // A trimmed session keeps the matching share of its app breakdown
+        const { apps: _a, titles: _t, ...rest } = session;
+        merged[dateKey].sessions.push({
+            ...rest,
+            ...scaleSessionApps(session, (piece.end - piece.start) / (range.end - range.start)),
+            start: new Date(piece.start).toISOString(),
+            end: new Date(piece.end).toISOString(),
+            duration,
+            device: device.name,
+            deviceId: device.id
+        });
+    });
+
+    Object.values(merged).forEach(day => {
+        day.sessions.sort((a, b) => new Date(a.start) - new Date(b.start));
+        day.total = day.sessions.reduce((acc, s) => acc + (s.duration || 0), 0);
+    });
+    return merged;
+}
+
+// Seconds of the extra ranges inside [fromMs, toMs) not already covered by the base ranges
+function extraSeconds(baseRanges, extraRanges, fromMs, toMs) {
+    const clip = r => ({ start: Math.max(r.start, fromMs), end: Math.min(r.end, toMs) });
+    const extras = extraRanges
+        .map(r => ({ range: clip(r) }))
+        .filter(item => item.range.start < item.range.end)
+        .sort((a, b) => a.range.start - b.range.start);
+
+    let totalMs = 0;
+    forEachUncovered(baseRanges.map(clip), extras, (item, piece) => {
+        totalMs += piece.end - piece.start;
+    });
+    return Math.floor(totalMs / 1000);
+}
+
+module.exports = {
+    getDeviceFilePath,
+    writeDeviceFile,
+    readOtherDevices,
+    mergeDevices,
+    extraSeconds
+};
@@ -0,0 +1,56 @@
+// Time bank (banco de horas): every day from the start date is expected to have
+// the hours configured for its weekday; the balance is worked minus expected,
+// per day and accumulated. Worked time comes from the stored sessions
+// (history.groupSessionsByDay), so edits in the History are reflected too.
+// Days off lower the expected hours (see daysoff.js).
+
+const { getLocalDateKey } = require('./history');
+const { getExpectedFactor } = require('./daysoff');
+
+function parseDateKey(dateKey) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+// Hours the contract expects on a day, ignoring the start date
+function getScheduledSeconds(timeBank, dateKey, dayOff) {
+    return Math.round(timeBank.expectedHours[parseDateKey(dateKey).getDay()] * 3600 * getExpectedFactor(dayOff));
+}
+
+function getExpectedSeconds(timeBank, dateKey, dayOff) {
+    if (dateKey < timeBank.startDate) return 0;
+    return getScheduledSeconds(timeBank, dateKey, dayOff);
+}
+
+// grouped: { [dateKey]: { total } }, daysOff: { [dateKey]: { type } }.
+// Covers startDate..untilKey (inclusive).
+// Returns { days: { [dateKey]: { worked, expected, balance, cumulative } }, balance }
+function computeTimeBank(timeBank, grouped, untilKey, daysOff = {}) {
+    const days = {};
+    let cumulative = 0;
+
+    const date = parseDateKey(timeBank.startDate);
+    for (let dateKey = timeBank.startDate; dateKey <= untilKey; dateKey = getLocalDateKey(date)) {
+        const worked = grouped[dateKey] ? grouped[dateKey].total : 0;
+        const expected = getExpectedSeconds(timeBank, dateKey, daysOff[dateKey]);
+        cumulative += worked - expected;
+        days[dateKey] = { worked, expected, balance: worked - expected, cumulative };
+        date.setDate(date.getDate() + 1);
+    }
+
+    return { days, balance: cumulative };
+}
+
+// "+1h 05min" / "-0h 30min"
+function formatBalance(seconds) {
+    const sign = seconds < 0 ? '-' : '+';
+    const totalMins = Math.floor(Math.abs(seconds) / 60);
+    return `${sign}${Math.floor(totalMins / 60)}h ${String(totalMins % 60).padStart(2, '0')}min`;
+}
+
+module.exports = {
+    getScheduledSeconds,
+    getExpectedSeconds,
+    computeTimeBank,
+    formatBalance
+};
@@ -0,0 +1,162 @@
+// Monthly timesheet for sign-off: one row per calendar day (first start, last
+// end, breaks, total, day type), monthly totals and signature lines, as a
+// self-contained print-ready HTML page. main.js prints it to PDF.
+//
+// Days come from history.groupSessionsByDay(), the grouping the History uses.
+
+const { formatLocalTime } = require('./history');
+const { DAY_OFF_TYPES, getDateRange } = require('./daysoff');
+const { getScheduledSeconds, getExpectedSeconds } = require('./timebank');
+
+const MONTH_RE = /^\d{4}-\d{2}$/;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 27900 -> "7:45"
+function formatHours(seconds) {
+    const sign = seconds < 0 ? '-' : '';
+    const totalMins = Math.round(Math.abs(seconds) / 60);
+    return `${sign}${Math.floor(totalMins / 60)}:${String(totalMins % 60).padStart(2, '0')}`;
+}
+
+function parseDateKey(dateKey) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+function getMonthRange(month) {
+    const [y, m] = month.split('-').map(Number);
+    const last = new Date(y, m, 0).getDate();
+    return { from: `${month}-01`, to: `${month}-${String(last).padStart(2, '0')}` };
+}
+
+function getDayType(dateKey, dayOff, timeBank) {
+    if (dayOff) return DAY_OFF_TYPES[dayOff.type].label;
+    return getScheduledSeconds(timeBank, dateKey) === 0 ? 'Rest day' : 'Workday';
+}
+
+// One row per day of month ('YYYY-MM'). grouped: { [dateKey]: { sessions, total } },
+// daysOff: daysoff.getDaysOff(). Times are local, durations in seconds.
+function buildRows(month, grouped, daysOff, timeBank) {
+    const { from, to } = getMonthRange(month);
+    return getDateRange(from, to).map(dateKey => {
+        const day = grouped[dateKey];
+        const sessions = day ? day.sessions : [];
+        const dayOff = daysOff[dateKey] || null;
+        const row = {
+            date: dateKey,
+            type: getDayType(dateKey, dayOff, timeBank),
+            firstStart: null,
+            lastEnd: null,
+            breaks: 0,
+            total: day ? day.total : 0,
+            expected: timeBank.enabled ? getExpectedSeconds(timeBank, dateKey, dayOff) : null
+        };
+        if (sessions.length > 0) {
+            const startMs = Math.min(...sessions.map(s => new Date(s.start).getTime()));
+            const endMs = Math.max(...sessions.map(s => new Date(s.end).getTime()));
+            row.firstStart = formatLocalTime(new Date(startMs)).slice(0, 5);
+            row.lastEnd = formatLocalTime(new Date(endMs)).slice(0, 5);
+            row.breaks = Math.max(0, Math.floor((endMs - startMs) / 1000) - row.total);
+        }
+        return row;
+    });
+}
+
+// options: { month, grouped, daysOff, timeBank, name, profileName }
+function buildTimesheetHtml({ month, grouped, daysOff, timeBank, name, profileName }) {
+    if (!MONTH_RE.test(month)) throw new Error('Choose a month');
+
+    const rows = buildRows(month, grouped, daysOff, timeBank);
+    const worked = rows.reduce((acc, row) => acc + row.total, 0);
+    const breaks = rows.reduce((acc, row) => acc + row.breaks, 0);
+    const daysWorked = rows.filter(row => row.total > 0).length;
+    const showExpected = timeBank.enabled;
+    const expected = showExpected ? rows.reduce((acc, row) => acc + row.expected, 0) : 0;
+
+    const monthLabel = parseDateKey(`${month}-01`).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    const bodyRows = rows.map(row => {
+        const date = parseDateKey(row.date).toLocaleDateString(undefined, { weekday: 'short', day: '2-digit' });
+        const restDay = row.type !== 'Workday' && row.total === 0;
+        return `
+            <tr${restDay ? ' class="rest"' : ''}>
+                <td>${escapeHtml(date)}</td>
+                <td>${row.firstStart || ''}</td>
+                <td>${row.lastEnd || ''}</td>
+                <td class="num">${row.firstStart ? formatHours(row.breaks) : ''}</td>
+                <td class="num">${row.total > 0 ? formatHours(row.total) : ''}</td>
+                ${showExpected ? `<td class="num">${row.expected > 0 ? formatHours(row.expected) : ''}</td>` : ''}
+                <td>${escapeHtml(row.type)}</td>
+            </tr>`;
+    }).join('');
+
+    const summary = [
+        `<div><span>Days worked</span><strong>${daysWorked}</strong></div>`,
+        `<div><span>Total worked</span><strong>${formatHours(worked)}</strong></div>`,
+        `<div><span>Total breaks</span><strong>${formatHours(breaks)}</strong></div>`
+    ];
+    if (showExpected) {
+        summary.push(`<div><span>Expected</span><strong>${formatHours(expected)}</strong></div>`);
+        summary.push(`<div><span>Balance</span><strong>${worked - expected >= 0 ? '+' : ''}${formatHours(worked - expected)}</strong></div>`);
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>Timesheet ${escapeHtml(month)}</title>
+<style>
+    @page { size: A4; margin: 14mm; }
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 10pt; color: #111; }
+    h1 { font-size: 16pt; margin: 0 0 4px; }
+    .subtitle { color: #555; margin-bottom: 12px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #bbb; padding: 3px 6px; text-align: left; }
+    th { background: #eee; }
+    td.num, th.num { text-align: right; }
+    tr.rest td { color: #777; background: #f7f7f7; }
+    .summary { display: flex; gap: 24px; margin: 12px 0 40px; }
+    .summary span { display: block; color: #555; font-size: 8pt; text-transform: uppercase; }
+    .signatures { display: flex; gap: 40px; margin-top: 32px; page-break-inside: avoid; }
+    .signature { flex: 1; border-top: 1px solid #111; padding-top: 4px; }
+</style>
+</head>
+<body>
+    <h1>Timesheet &ndash; ${escapeHtml(monthLabel)}</h1>
+    <div class="subtitle">${escapeHtml(name || '')}${name && profileName ? ' &middot; ' : ''}${escapeHtml(profileName || '')}</div>
+    <table>
+        <thead>
+            <tr>
+                <th>Day</th>
+                <th>First start</th>
+                <th>Last end</th>
+                <th class="num">Breaks</th>
+                <th class="num">Total</th>
+                ${showExpected ? '<th class="num">Expected</th>' : ''}
+                <th>Day type</th>
+            </tr>
+        </thead>
+        <tbody>${bodyRows}
+        </tbody>
+    </table>
+    <div class="summary">${summary.join('')}</div>
+    <div class="signatures">
+        <div class="signature">Employee${name ? `: ${escapeHtml(name)}` : ''}</div>
+        <div class="signature">Supervisor / HR</div>
+        <div class="signature">Date</div>
+    </div>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    buildRows,
+    buildTimesheetHtml
+};
@@ -0,0 +1,51 @@
+// Tray icon variants: the app icon with a coloured status dot in the corner,
+// drawn at runtime so there are no extra image files to keep in sync.
+// Colours match the status dot in the main card (styles.css).
+
+const ICON_SIZE = 32;
+
+const STATE_COLORS = {
+    tracking: [0x4a, 0xde, 0x80], // --accent-green
+    forced: [0xc0, 0x84, 0xfc], // --accent-purple
+    idle: [0xfa, 0xcc, 0x15], // --accent-yellow
+    'apps-closed': [0xf8, 0x71, 0x71], // --accent-red
+    'manual-pause': [0x60, 0xa5, 0xfa] // --accent-blue
+};
+
+// Draw a filled circle with a dark outline into a BGRA bitmap (Electron's native order)
+function drawDot(bitmap, size, [r, g, b]) {
+    const radius = size * 0.22;
+    const outline = Math.max(1, size / 16);
+    const cx = size - radius - outline;
+    const cy = size - radius - outline;
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const distance = Math.hypot(x + 0.5 - cx, y + 0.5 - cy);
+            if (distance > radius + outline) continue;
+
+            const i = (y * size + x) * 4;
+            const fill = distance <= radius ? [b, g, r] : [0x1a, 0x1a, 0x1a];
+            bitmap[i] = fill[0];
+            bitmap[i + 1] = fill[1];
+            bitmap[i + 2] = fill[2];
+            bitmap[i + 3] = 0xff;
+        }
+    }
+}
+
+// Returns { default, [state]: NativeImage } (only default if the icon can't be read)
+function createTrayIcons(nativeImage, iconPath) {
+    const base = nativeImage.createFromPath(iconPath).resize({ width: ICON_SIZE, height: ICON_SIZE, quality: 'best' });
+    const icons = { default: base };
+    if (base.isEmpty()) return icons;
+
+    Object.keys(STATE_COLORS).forEach(state => {
+        const bitmap = Buffer.from(base.toBitmap());
+        drawDot(bitmap, ICON_SIZE, STATE_COLORS[state]);
+        icons[state] = nativeImage.createFromBitmap(bitmap, { width: ICON_SIZE, height: ICON_SIZE });
+    });
+    return icons;
+}
+
+module.exports = { createTrayIcons };
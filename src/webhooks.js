@@ -0,0 +1,254 @@
+// Outgoing webhooks. Each event is POSTed as JSON to every enabled webhook whose
+// event filter matches (an empty filter means all events):
+//
+//   session.started  { start, project }
+//   session.ended    { start, end, duration, project }
+//   day.rollover     { from, to, totalSeconds }
+//   goal.reached     { key, message, todaySeconds }
+//
+// Default body: { event, timestamp, device, data }. A template replaces it: any
+// JSON whose strings may contain {{event}}, {{timestamp}}, {{device}} or
+// {{data.<field>}}; a string made of a single placeholder keeps the value's type.
+// With a secret, "X-Time-Tracker-Signature: sha256=<hex>" is the HMAC-SHA256 of the body.
+//
+// Deliveries go through a queue persisted to disk: network errors, timeouts, 408,
+// 429 and 5xx are retried with exponential backoff, so events raised while
+// offline are sent later. Other responses are final.
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('./storage');
+
+const EVENTS = ['session.started', 'session.ended', 'day.rollover', 'goal.reached'];
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RETRY_CHECK_MS = 30 * 1000;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const MAX_QUEUE = 1000;
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // Give up on deliveries older than a week
+
+function getPath(context, path) {
+    return path.split('.').reduce((value, part) => (value !== null && value !== undefined ? value[part] : undefined), context);
+}
+
+function renderValue(value, context) {
+    if (typeof value === 'string') {
+        const whole = value.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+        if (whole) {
+            const resolved = getPath(context, whole[1]);
+            return resolved === undefined ? null : resolved;
+        }
+        return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+            const resolved = getPath(context, path);
+            if (resolved === undefined || resolved === null) return '';
+            return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+        });
+    }
+    if (Array.isArray(value)) return value.map(item => renderValue(item, context));
+    if (value && typeof value === 'object') {
+        const rendered = {};
+        Object.keys(value).forEach(key => {
+            rendered[key] = renderValue(value[key], context);
+        });
+        return rendered;
+    }
+    return value;
+}
+
+// Request body (string) for one webhook
+function buildBody(webhook, context) {
+    if (!webhook.template) return JSON.stringify(context);
+    return JSON.stringify(renderValue(JSON.parse(webhook.template), context));
+}
+
+function sign(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Resolves with the response status code, rejects on network errors and timeouts
+function postJson(url, body, headers) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        const req = client.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Content-Length': Buffer.byteLength(body),
+                ...headers
+            },
+            timeout: REQUEST_TIMEOUT_MS
+        }, res => {
+            res.resume(); // The response body is not used
+            res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('timeout', () => req.destroy(new Error('Request timed out')));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+function isRetryable(statusCode) {
+    return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+function getRetryDelay(attempts) {
+    return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+function matchesEvent(webhook, event) {
+    return webhook.enabled && (webhook.events.length === 0 || webhook.events.includes(event));
+}
+
+// options: { queueFile, device, log }. Call configure() with settings.webhooks,
+// start() once and emit() on every event. stop() is final: it resolves once a
+// running flush has saved the queue, so another dispatcher may then take the file.
+function createWebhookDispatcher({ queueFile, device, log }) {
+    let webhooks = [];
+    let queue = [];
+    let timer = null;
+    let stopped = false;
+    let flushing = null; // Promise of the running flush
+    let flushAgain = false; // Events emitted during a flush are sent right after it
+
+    try {
+        if (fs.existsSync(queueFile)) queue = JSON.parse(fs.readFileSync(queueFile, 'utf8'));
+    } catch (e) {
+        log(`Webhooks: failed to read queue: ${e.message}`);
+    }
+
+    function saveQueue() {
+        try {
+            writeJsonAtomic(queueFile, queue);
+        } catch (e) {
+            log(`Webhooks: failed to save queue: ${e.message}`);
+        }
+    }
+
+    function configure(list) {
+        webhooks = list;
+    }
+
+    function setDevice(name) {
+        device = name;
+    }
+
+    function emit(event, data) {
+        if (stopped) return;
+        const context = { event, timestamp: new Date().toISOString(), device, data };
+        const targets = webhooks.filter(webhook => matchesEvent(webhook, event));
+        if (targets.length === 0) return;
+
+        targets.forEach(webhook => {
+            let body;
+            try {
+                body = buildBody(webhook, context);
+            } catch (e) {
+                log(`Webhooks: invalid template for ${webhook.url}: ${e.message}`);
+                return;
+            }
+            const headers = { 'X-Time-Tracker-Event': event };
+            if (webhook.secret) headers['X-Time-Tracker-Signature'] = sign(webhook.secret, body);
+            queue.push({
+                id: crypto.randomBytes(6).toString('hex'),
+                url: webhook.url,
+                event,
+                body,
+                headers,
+                createdAt: Date.now(),
+                attempts: 0,
+                nextAttempt: 0
+            });
+        });
+
+        if (queue.length > MAX_QUEUE) {
+            log(`Webhooks: queue full, dropping ${queue.length - MAX_QUEUE} oldest deliveries`);
+            queue = queue.slice(-MAX_QUEUE);
+        }
+        saveQueue();
+        flush();
+    }
+
+    async function deliver(delivery) {
+        delivery.attempts++;
+        try {
+            const statusCode = await postJson(delivery.url, delivery.body, delivery.headers);
+            if (statusCode >= 200 && statusCode < 300) return true;
+            if (!isRetryable(statusCode)) {
+                log(`Webhooks: ${delivery.event} to ${delivery.url} rejected (HTTP ${statusCode}), dropped`);
+                return true;
+            }
+            log(`Webhooks: ${delivery.event} to ${delivery.url} failed (HTTP ${statusCode}), attempt ${delivery.attempts}`);
+        } catch (e) {
+            log(`Webhooks: ${delivery.event} to ${delivery.url} failed (${e.message}), attempt ${delivery.attempts}`);
+        }
+        delivery.nextAttempt = Date.now() + getRetryDelay(delivery.attempts);
+        return false;
+    }
+
+    // Send every due delivery, oldest first. A stop() lets the delivery in flight
+    // finish and skips the rest, which stay queued on disk.
+    async function sendDue() {
+        const now = Date.now();
+        const expired = queue.filter(delivery => now - delivery.createdAt > MAX_AGE_MS);
+        if (expired.length > 0) {
+            log(`Webhooks: giving up on ${expired.length} deliveries older than a week`);
+            queue = queue.filter(delivery => !expired.includes(delivery));
+        }
+
+        const due = queue.filter(delivery => delivery.nextAttempt <= now);
+        for (const delivery of due) {
+            if (stopped) break;
+            if (await deliver(delivery)) {
+                queue = queue.filter(item => item !== delivery);
+            }
+        }
+        if (due.length > 0 || expired.length > 0) saveQueue();
+    }
+
+    // One flush at a time
+    function flush() {
+        if (stopped) return Promise.resolve();
+        if (flushing) {
+            flushAgain = true;
+            return flushing;
+        }
+        flushing = sendDue().finally(() => {
+            flushing = null;
+            if (flushAgain) {
+                flushAgain = false;
+                flush();
+            }
+        });
+        return flushing;
+    }
+
+    function start() {
+        if (timer || stopped) return;
+        timer = setInterval(flush, RETRY_CHECK_MS);
+        flush();
+    }
+
+    function stop() {
+        stopped = true;
+        if (timer) clearInterval(timer);
+        timer = null;
+        return flushing || Promise.resolve();
+    }
+
+    return {
+        configure,
+        setDevice,
+        emit,
+        start,
+        stop,
+        getPendingCount: () => queue.length
+    };
+}
+
+module.exports = {
+    EVENTS,
+    createWebhookDispatcher
+};